@@ -1,10 +1,15 @@
+import { resolve } from 'path';
 import { keys } from 'lodash';
 import pkg from './package.json';
 
+const dependencies = [...keys(pkg.dependencies), ...keys(pkg.peerDependencies)];
+const plugin = resolve('src/plugin.js');
+const paths = { [plugin]: './plugin.js' };
+
 export default [
   {
-    input: 'src/index.js',
-    external: [...keys(pkg.dependencies), ...keys(pkg.peerDependencies)],
+    input: 'src/cjs.js',
+    external: [...dependencies, plugin],
     output: [
       {
         file: pkg.main,
@@ -13,9 +18,29 @@ export default [
         esModule: false,
         preferConst: true,
         strict: true,
-        exports: 'auto',
+        exports: 'default',
+        paths,
+      },
+    ],
+  },
+  {
+    input: 'src/index.js',
+    external: [...dependencies, plugin],
+    output: [{ file: pkg.module, format: 'es', paths }],
+  },
+  {
+    input: 'src/plugin.js',
+    external: dependencies,
+    output: [
+      {
+        file: 'lib/plugin.js',
+        format: 'cjs',
+        interop: false,
+        esModule: false,
+        preferConst: true,
+        strict: true,
       },
-      { file: pkg.module, format: 'es' },
+      { file: 'es/plugin.js', format: 'es' },
     ],
   },
 ];
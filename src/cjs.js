@@ -0,0 +1,13 @@
+import _ from 'lodash';
+import Counter, * as helpers from './index';
+
+/*
+ * expose helpers on counter model, so commonjs build keep exporting counter
+ * model i.e `module.exports = Counter`
+ */
+_.forOwn(_.omit(helpers, 'default'), (helper, name) => {
+  Counter[name] = helper;
+});
+
+/* export counter model with helpers */
+export default Counter;
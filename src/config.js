@@ -0,0 +1,76 @@
+import _ from 'lodash';
+import { getNumber, getString } from '@lykmapipo/env';
+
+/* constants */
+const CONFIG_KEYS = [
+  'length',
+  'pad',
+  'separator',
+  'yearFormat',
+  'start',
+  'increment',
+];
+
+/* runtime configurations */
+const CONFIG = {};
+
+/**
+ * @function getConfig
+ * @name getConfig
+ * @description Obtain current sequence configurations. Configured values take
+ * precedence over environment variables. Start is undefined unless set, so
+ * that first generated sequence equals increment.
+ * @returns {object} current sequence configurations
+ * @since 0.4.0
+ * @version 0.1.0
+ * @private
+ * @example
+ *
+ * getConfig();
+ * //=> { length: 4, pad: '0', separator: '', yearFormat: 'YY', ... }
+ */
+export function getConfig() {
+  const defaults = {
+    length: getNumber('SEQUENCE_LENGTH', 4),
+    pad: getString('SEQUENCE_PAD', '0'),
+    separator: getString('SEQUENCE_SEPARATOR', ''),
+    yearFormat: getString('SEQUENCE_YEAR_FORMAT', 'YY'),
+    start: getNumber('SEQUENCE_START'),
+    increment: getNumber('SEQUENCE_INCREMENT', 1),
+  };
+  return _.merge({}, defaults, CONFIG);
+}
+
+/**
+ * @function configure
+ * @name configure
+ * @description Set sequence configurations at runtime. Unset (nil) values
+ * fallback to environment variables.
+ * @param {object} [optns] valid sequence configurations
+ * @param {number} [optns.length] default sequence length
+ * @param {string} [optns.pad] default sequence pad
+ * @param {string} [optns.separator] default sequence separator
+ * @param {string} [optns.yearFormat] default year prefix format
+ * @param {number} [optns.start] default first sequence
+ * @param {number} [optns.increment] default sequence increment
+ * @returns {object} current sequence configurations
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * import { configure } from '@lykmapipo/mongoose-sequenceable';
+ *
+ * configure({ length: 6, separator: '-' });
+ * configure({ length: null }); // fallback to SEQUENCE_LENGTH
+ */
+export function configure(optns) {
+  _.forOwn(_.pick(optns, CONFIG_KEYS), (value, key) => {
+    if (_.isNil(value)) {
+      delete CONFIG[key];
+    } else {
+      CONFIG[key] = value;
+    }
+  });
+  return getConfig();
+}
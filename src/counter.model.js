@@ -1,13 +1,35 @@
 import _ from 'lodash';
 import { getString, getNumber } from '@lykmapipo/env';
 import moment from 'moment';
-import { Schema, SCHEMA_OPTIONS, model } from '@lykmapipo/mongoose-common';
+import mongoose from 'mongoose';
+import {
+  Schema,
+  SCHEMA_OPTIONS,
+  isConnection,
+} from '@lykmapipo/mongoose-common';
+import { getConfig } from './config';
 
 /* constants */
 const SEQUENCE_NAMESPACE = getString('SEQUENCE_NAMESPACE', 'Sequence');
-const SEQUENCE_YEAR_FORMAT = getString('SEQUENCE_YEAR_FORMAT', 'YY');
-const SEQUENCE_START = getNumber('SEQUENCE_START', 1);
-const SEQUENCE_INCREMENT = getNumber('SEQUENCE_INCREMENT', 1);
+const SEQUENCE_START = 1;
+const SEQUENCE_RETRY_ATTEMPTS = getNumber('SEQUENCE_RETRY_ATTEMPTS', 5);
+const SEQUENCE_RETRY_DELAY = getNumber('SEQUENCE_RETRY_DELAY', 50);
+const SEQUENCE_RETRY_MAX_DELAY = getNumber('SEQUENCE_RETRY_MAX_DELAY', 1000);
+const SEQUENCE_RETRY_FACTOR = getNumber('SEQUENCE_RETRY_FACTOR', 2);
+const DUPLICATE_KEY_CODES = [11000, 11001];
+const TRANSIENT_ERROR_CODES = [
+  6, 7, 89, 91, 112, 189, 262, 9001, 10107, 11600, 11602, 13435, 13436,
+];
+const TRANSIENT_ERROR_NAMES = [
+  'MongoNetworkError',
+  'MongoNetworkTimeoutError',
+  'MongoServerSelectionError',
+  'MongoTimeoutError',
+];
+const TRANSIENT_ERROR_LABELS = [
+  'TransientTransactionError',
+  'RetryableWriteError',
+];
 const SEQUENCE_MODEL_NAME = getString('SEQUENCE_MODEL_NAME', 'Counter');
 const SEQUENCE_COLLECTION_NAME = getString(
   'SEQUENCE_COLLECTION_NAME',
@@ -17,12 +39,6 @@ const SEQUENCE_SCHEMA_OPTIONS = _.merge({}, SCHEMA_OPTIONS, {
   collection: SEQUENCE_COLLECTION_NAME,
 });
 
-// TODO:
-// field
-// dateFormat
-// format
-// padsize
-
 /**
  * @name CounterSchema
  * @description A record of sequence documents. Used to generate sequencial
@@ -58,6 +74,67 @@ const CounterSchema = new Schema(
       default: SEQUENCE_NAMESPACE,
     },
 
+    /**
+     * @name field
+     * @description A field(path) name for the counter. Used to
+     * differentiate counters of different fields within same namespace.
+     *
+     * When used as plugin, each sequenceable path will have its own
+     * counter unless namespace is explicit specified.
+     * @type {object}
+     * @since 0.4.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * number, ticketNo, receiptNo etc.
+     */
+    field: {
+      type: String,
+      trim: true,
+      index: true,
+      searchable: true,
+      taggable: true,
+    },
+
+    /**
+     * @name period
+     * @description A reset cycle bucket for the counter. Used to restart
+     * sequence every year, month, week or day regardless of prefix.
+     * @type {object}
+     * @since 0.4.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * 2022, 2022-01, 2022-W01, 2022-01-01 etc.
+     */
+    period: {
+      type: String,
+      trim: true,
+      index: true,
+      searchable: true,
+      taggable: true,
+    },
+
+    /**
+     * @name scope
+     * @description A scope for the counter. Used to keep separate sequence
+     * series per tenant, organization etc. without affecting sequence
+     * format.
+     * @type {object}
+     * @since 0.4.0
+     * @version 0.1.0
+     * @instance
+     * @example
+     * 5d1b7c7e6f1d2a0017a1b2c3, ACME etc.
+     */
+    scope: {
+      type: String,
+      trim: true,
+      index: true,
+      searchable: true,
+      taggable: true,
+    },
+
     /**
      * @name prefix
      * @description A sequence prefix.
@@ -76,7 +153,7 @@ const CounterSchema = new Schema(
       index: true,
       searchable: true,
       taggable: true,
-      default: moment(new Date()).format(SEQUENCE_YEAR_FORMAT),
+      default: () => moment(new Date()).format(getConfig().yearFormat),
     },
 
     /**
@@ -111,85 +188,804 @@ const CounterSchema = new Schema(
       type: Number,
       required: true,
       index: true,
-      default: SEQUENCE_START,
+      default: () => _.defaultTo(getConfig().start, SEQUENCE_START),
     },
   },
   SEQUENCE_SCHEMA_OPTIONS
 );
 
-// force uniqueness of the sequence per namespace and prefix
-const indexes = { namespace: 1, prefix: 1, suffix: 1, sequence: 1 };
+// force single counter per namespace, field, period, scope, prefix and suffix
+const indexes = {
+  namespace: 1,
+  field: 1,
+  period: 1,
+  scope: 1,
+  prefix: 1,
+  suffix: 1,
+};
 CounterSchema.index(indexes, { unique: true });
 
 CounterSchema.statics.MODEL_NAME = SEQUENCE_MODEL_NAME;
 CounterSchema.statics.COLLECTION_NAME = SEQUENCE_COLLECTION_NAME;
 
+/* counter schemas per model and collection name */
+const COUNTER_SCHEMAS = {
+  [`${SEQUENCE_MODEL_NAME}.${SEQUENCE_COLLECTION_NAME}`]: CounterSchema,
+};
+
+/* per field counters known to exist i.e no need to seed from legacy */
+const COUNTER_SEEDED = {};
+
+/* counters revisions per collection i.e bumped on reset and clear */
+const COUNTER_REVISIONS = {};
+
+/**
+ * @function getRevision
+ * @name getRevision
+ * @description Obtain counters revision of counter model collection. It is
+ * bumped whenever counters are reset or cleared, so that sequences reserved
+ * before are known to be stale.
+ * @param {object} counterModel valid counter model
+ * @returns {number} current counters revision
+ * @since 0.4.0
+ * @version 0.1.0
+ * @private
+ */
+export function getRevision(counterModel) {
+  const { db, collection } = counterModel;
+  const key = `${db.id}.${collection.collectionName}`;
+  return COUNTER_REVISIONS[key] || 0;
+}
+
+/**
+ * @function bumpRevision
+ * @name bumpRevision
+ * @description Bump counters revision of counter model collection
+ * @param {object} counterModel valid counter model
+ * @returns {number} bumped counters revision
+ * @since 0.4.0
+ * @version 0.1.0
+ * @private
+ */
+function bumpRevision(counterModel) {
+  const { db, collection } = counterModel;
+  const key = `${db.id}.${collection.collectionName}`;
+  COUNTER_REVISIONS[key] = getRevision(counterModel) + 1;
+  return COUNTER_REVISIONS[key];
+}
+
+/**
+ * @function isRetryableError
+ * @name isRetryableError
+ * @description Check if counter generation error is worth retrying i.e
+ * duplicate key or transient error
+ * @param {Error} error valid error instance
+ * @returns {boolean} whether error is retryable
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * isRetryableError({ code: 11000 }); //=> true
+ * isRetryableError(new Error('Invalid')); //=> false
+ */
+export function isRetryableError(error) {
+  if (!error) {
+    return false;
+  }
+
+  // check duplicate key and transient codes
+  const code = _.get(error, 'code');
+  if (_.includes([...DUPLICATE_KEY_CODES, ...TRANSIENT_ERROR_CODES], code)) {
+    return true;
+  }
+
+  // check transient names
+  if (_.includes(TRANSIENT_ERROR_NAMES, _.get(error, 'name'))) {
+    return true;
+  }
+
+  // check transient labels
+  if (_.isFunction(error.hasErrorLabel)) {
+    return _.some(TRANSIENT_ERROR_LABELS, (label) =>
+      error.hasErrorLabel(label)
+    );
+  }
+
+  return false;
+}
+
+/**
+ * @function createRetryPolicy
+ * @name createRetryPolicy
+ * @description Normalize counter generation retry policy
+ * @param {object | number | boolean} [optns] valid retry options or
+ * max attempts
+ * @returns {object} valid retry policy
+ * @private
+ */
+function createRetryPolicy(optns) {
+  // normalize shorthands
+  let options = _.isNumber(optns) ? { attempts: optns } : optns;
+  options = options === false ? { attempts: 1 } : options;
+  options = _.isPlainObject(options) ? options : {};
+
+  // merge defaults
+  return _.merge(
+    {},
+    {
+      attempts: SEQUENCE_RETRY_ATTEMPTS,
+      delay: SEQUENCE_RETRY_DELAY,
+      maxDelay: SEQUENCE_RETRY_MAX_DELAY,
+      factor: SEQUENCE_RETRY_FACTOR,
+      retryable: isRetryableError,
+    },
+    options
+  );
+}
+
+/**
+ * @function backoff
+ * @name backoff
+ * @description Wait for exponential backoff with full jitter
+ * @param {object} policy valid retry policy
+ * @param {number} tries number of failed attempts so far
+ * @returns {Promise} resolved once wait is over
+ * @private
+ */
+function backoff(policy, tries) {
+  const { delay, maxDelay, factor } = policy;
+  const cap = Math.min(maxDelay, delay * factor ** (tries - 1));
+  const wait = _.random(0, Math.max(cap, 0));
+  return new Promise((resolve) => {
+    setTimeout(resolve, wait);
+  });
+}
+
+/**
+ * @function createCriteria
+ * @name createCriteria
+ * @description Normalize counter criteria i.e namespace, field, period,
+ * scope, prefix and suffix. Unset field, period and scope are matched as
+ * null, so criteria never match counters of other field, period or scope.
+ * @param {object} [optns] valid counter options
+ * @returns {object} valid counter criteria
+ * @private
+ */
+function createCriteria(optns) {
+  const options = _.merge(
+    {},
+    {
+      namespace: SEQUENCE_NAMESPACE,
+      prefix: moment(new Date()).format(getConfig().yearFormat),
+    },
+    optns
+  );
+  const { namespace, prefix, suffix } = options;
+  const criteria = {
+    namespace,
+    field: _.defaultTo(options.field, null),
+    period: _.defaultTo(options.period, null),
+    scope: _.defaultTo(options.scope, null),
+    prefix,
+    suffix,
+  };
+  return _.omitBy(criteria, _.isUndefined);
+}
+
+/**
+ * @function validateSteps
+ * @name validateSteps
+ * @description Ensure valid counter start and increment i.e start is an
+ * integer if specified and increment is non zero integer
+ * @param {object} [optns] valid counter options
+ * @param {number} [optns.start] valid first sequence
+ * @param {number} [optns.increment] valid sequence increment
+ * @returns {Error | undefined} validation error if any
+ * @private
+ */
+function validateSteps(optns) {
+  const { start, increment } = _.merge({}, optns);
+  if (!_.isSafeInteger(increment) || increment === 0) {
+    return new Error('Invalid Sequence Increment');
+  }
+  if (!_.isUndefined(start) && !_.isSafeInteger(start)) {
+    return new Error('Invalid Sequence Start');
+  }
+  return undefined;
+}
+
+/**
+ * @function withCallback
+ * @name withCallback
+ * @description Support callback style on promise based counter statics.
+ * Callback is invoked outside of promise chain, so its errors are thrown
+ * instead of becoming unhandled rejections.
+ * @param {Promise} promise valid promise
+ * @param {Function} [done] a callback to invoke on success or error
+ * @returns {Promise} valid promise
+ * @private
+ */
+export function withCallback(promise, done) {
+  if (_.isFunction(done)) {
+    promise.then(
+      function onSuccess(result) {
+        setImmediate(() => done(null, result));
+      },
+      function onError(error) {
+        setImmediate(() => done(error));
+      }
+    );
+  }
+  return promise;
+}
+
 /**
  * @name generate
  * @function generate
  * @param {object} optns valid counter options
  * @param {string} optns.namespace valid sequence namespace
+ * @param {string} [optns.field] valid sequence field. New field counter
+ * continues legacy counter i.e without field, of same namespace, period,
+ * scope, prefix and suffix if exists.
+ * @param {string} [optns.period] valid sequence period
+ * @param {string} [optns.scope] valid sequence scope i.e tenant
  * @param {string} optns.prefix valid sequence prefix
- * @param {Function} done a callback to invoke on success or error
- * @returns {string | Error} next formatted sequence number or error
+ * @param {number} [optns.increment=1] valid non zero integer sequence
+ * increment. Negative increment count down.
+ * @param {number} [optns.start] first sequence to generate when counter
+ * does not exist. Default to increment.
+ * @param {object | number} [optns.retry] valid retry policy or max attempts
+ * @param {number} [optns.retry.attempts=5] max generation attempts
+ * @param {number} [optns.retry.delay=50] base backoff delay in milliseconds
+ * @param {number} [optns.retry.maxDelay=1000] max backoff delay in
+ * milliseconds
+ * @param {number} [optns.retry.factor=2] backoff exponential factor
+ * @param {Function} [optns.retry.retryable] check if error is retryable
+ * @param {object} [optns.session] valid client session. When session is in
+ * transaction, increment is rolled back with the transaction and no retry
+ * is performed.
+ * @param {Function} [done] a callback to invoke on success or error
+ * @returns {Promise<object>} next counter or error
  * @since 0.1.0
- * @version 0.1.0
+ * @version 0.2.0
  * @public
+ * @example
+ *
+ * const counter = await Counter.generate({ prefix: 'VIP' });
+ * //=> { namespace: 'Sequence', prefix: 'VIP', sequence: 1 }
  */
 CounterSchema.statics.generate = function generate(optns, done) {
   // reference counter
   const Counter = this;
 
   // ensure options
-  const options = _.merge(
-    {},
-    {
-      namespace: SEQUENCE_NAMESPACE,
-      prefix: moment(new Date()).format(SEQUENCE_YEAR_FORMAT),
-      increment: SEQUENCE_INCREMENT,
-    },
-    optns
-  );
+  const config = getConfig();
+  const defaults = {
+    namespace: SEQUENCE_NAMESPACE,
+    prefix: moment(new Date()).format(config.yearFormat),
+    start: config.start,
+    increment: config.increment,
+  };
+  const options = _.merge({}, defaults, optns);
 
   /**
    *
    * atomically upsert & increment sequence
    * first start with counter collection by increment the sequence
-   * if we encounter error we loop till we succeed
+   * or seed it with start on first insert
+   * if we encounter retryable error i.e duplicate key on concurrent upserts
+   * we retry with backoff till attempts are exhausted
    */
-  const { namespace, prefix, suffix, increment } = options;
-  const criteria = _.omitBy({ namespace, prefix, suffix }, _.isUndefined);
+  const { increment, start, session } = options;
+  const criteria = createCriteria(options);
+  const seed = _.isNumber(start) ? start - increment : 0;
+
+  // ensure valid start and increment
+  const invalid = validateSteps(options);
+  if (invalid) {
+    return withCallback(Promise.reject(invalid), done);
+  }
+
+  // retry within transaction is meaningless, whole transaction must retry
+  const inTransaction = session && session.inTransaction();
+  const policy = createRetryPolicy(inTransaction ? false : options.retry);
+
+  const attempt = function attempt(tries, from) {
+    // seed first sequence atomically i.e start or increment from zero
+    const update = [
+      {
+        $set: {
+          sequence: { $add: [{ $ifNull: ['$sequence', from] }, increment] },
+          createdAt: { $ifNull: ['$createdAt', '$$NOW'] },
+        },
+      },
+    ];
+
+    // retry or pass through original error
+    const onError = function onError(error) {
+      const canRetry = tries < policy.attempts && policy.retryable(error);
+      if (!canRetry) {
+        throw error;
+      }
+      return backoff(policy, tries).then(() => attempt(tries + 1, from));
+    };
+
+    return Counter.findOneAndUpdate(criteria, update, {
+      upsert: true,
+      new: true,
+      setDefaultsOnInsert: false,
+      session,
+    })
+      .exec()
+      .then(function afterFindOneAndUpdate(counter) {
+        // return generated counter
+        if (counter) {
+          return counter;
+        }
+        throw new Error('Counter Not Generated');
+      })
+      .catch(onError);
+  };
+
+  // seed per field counter from legacy counter i.e counter without field
+  // created before per field counters, on first generate per process
+  const { db, collection } = Counter;
+  const key = JSON.stringify([db.id, collection.collectionName, criteria]);
+  const seeded =
+    _.isNil(criteria.field) || COUNTER_SEEDED[key]
+      ? Promise.resolve(seed)
+      : Counter.find(
+          { ...criteria, field: { $in: [criteria.field, null] } },
+          { field: 1, sequence: 1 },
+          { session }
+        )
+          .exec()
+          .then(function afterFind(counters) {
+            const [legacies, fields] = _.partition(counters, (counter) =>
+              _.isNil(counter.field)
+            );
+            const legacy = _.maxBy(legacies, 'sequence');
+            return _.isEmpty(fields) && legacy ? legacy.sequence : seed;
+          });
+
+  const sequence = seeded
+    .then((from) => attempt(1, from))
+    .then(function afterAttempt(counter) {
+      COUNTER_SEEDED[key] = true;
+      return counter;
+    });
+
+  // return counter promise
+  return withCallback(sequence, done);
+};
+
+/**
+ * @name reserve
+ * @function reserve
+ * @description Atomically reserve a range of consecutive sequences using a
+ * single counter increment
+ * @param {object} criteria valid counter criteria
+ * @param {string} [criteria.namespace] valid sequence namespace
+ * @param {string} [criteria.field] valid sequence field
+ * @param {string} [criteria.period] valid sequence period
+ * @param {string} [criteria.scope] valid sequence scope i.e tenant
+ * @param {string} [criteria.prefix] valid sequence prefix
+ * @param {string} [criteria.suffix] valid sequence suffix
+ * @param {number} [criteria.increment=1] valid sequence increment
+ * @param {number} [criteria.start] first sequence to generate when counter
+ * does not exist
+ * @param {number} count number of sequences to reserve
+ * @param {Function} [done] a callback to invoke on success or error
+ * @returns {Promise<object>} reserved range or error
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { from, to } = await Counter.reserve({ prefix: 'INV' }, 100);
+ * //=> { from: 1, to: 100, increment: 1, count: 100, counter: {...} }
+ */
+CounterSchema.statics.reserve = function reserve(criteria, count, done) {
+  // reference counter
+  const Counter = this;
+
+  // normalize options
+  const defaults = _.pick(getConfig(), ['start', 'increment']);
+  const options = _.merge({}, defaults, criteria);
+  const { increment, start } = options;
+
+  // ensure valid count
+  if (!_.isInteger(count) || count < 1) {
+    const error = new Error('Invalid Reserve Count');
+    return withCallback(Promise.reject(error), done);
+  }
+
+  // ensure valid start and increment
+  const invalid = validateSteps(options);
+  if (invalid) {
+    return withCallback(Promise.reject(invalid), done);
+  }
+
+  // increment counter by whole range
+  const step = increment * (count - 1);
+  const range = Counter.generate(
+    _.merge({}, options, {
+      increment: increment * count,
+      start: _.isNumber(start) ? start + step : undefined,
+    })
+  ).then(function afterGenerate(counter) {
+    const to = counter.sequence;
+    const from = to - step;
+    return { from, to, increment, count, counter };
+  });
+
+  // return range promise
+  return withCallback(range, done);
+};
 
-  return Counter.findOneAndUpdate(
+/**
+ * @name setup
+ * @function setup
+ * @description Seed counter if not exists. Existing counter is left intact.
+ * @param {object} optns valid counter options
+ * @param {string} [optns.namespace] valid sequence namespace
+ * @param {string} [optns.field] valid sequence field
+ * @param {string} [optns.period] valid sequence period
+ * @param {string} [optns.scope] valid sequence scope i.e tenant
+ * @param {string} [optns.prefix] valid sequence prefix
+ * @param {string} [optns.suffix] valid sequence suffix
+ * @param {number} [optns.start=1] next sequence to be generated
+ * @param {number} [optns.increment=1] valid sequence increment
+ * @param {Function} [done] a callback to invoke on success or error
+ * @returns {Promise<object>} seeded counter or error
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const counter = await Counter.setup({ prefix: 'INV', start: 5001 });
+ * const { sequence } = await Counter.generate({ prefix: 'INV' });
+ * //=> 5001
+ */
+CounterSchema.statics.setup = function setup(optns, done) {
+  // reference counter
+  const Counter = this;
+
+  // normalize options
+  const config = getConfig();
+  const defaults = {
+    start: _.defaultTo(config.start, SEQUENCE_START),
+    increment: config.increment,
+  };
+  const options = _.merge({}, defaults, optns);
+  const { start, increment } = options;
+  const criteria = createCriteria(options);
+
+  // ensure valid start and increment
+  const invalid = validateSteps(options);
+  if (invalid) {
+    return withCallback(Promise.reject(invalid), done);
+  }
+
+  // upsert counter without touching existing sequence
+  const counter = Counter.findOneAndUpdate(
     criteria,
+    { $setOnInsert: { sequence: start - increment } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ).exec();
+
+  // return counter promise
+  return withCallback(counter, done);
+};
+
+/**
+ * @name reset
+ * @function reset
+ * @description Rewind counter so that next generated sequence is the
+ * specified start value. In memory blocks of this process are discarded,
+ * while other processes hand out their blocks until exhausted.
+ * @param {object} criteria valid counter criteria
+ * @param {string} [criteria.namespace] valid sequence namespace
+ * @param {string} [criteria.field] valid sequence field
+ * @param {string} [criteria.period] valid sequence period
+ * @param {string} [criteria.scope] valid sequence scope i.e tenant
+ * @param {string} [criteria.prefix] valid sequence prefix
+ * @param {string} [criteria.suffix] valid sequence suffix
+ * @param {number} [criteria.increment=1] valid sequence increment
+ * @param {number} [value=1] next sequence to be generated
+ * @param {Function} [done] a callback to invoke on success or error
+ * @returns {Promise<object>} reset counter or error
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const counter = await Counter.reset({ prefix: 'INV' }, 1);
+ * const { sequence } = await Counter.generate({ prefix: 'INV' });
+ * //=> 1
+ */
+CounterSchema.statics.reset = function reset(criteria, value, done) {
+  // reference counter
+  const Counter = this;
+
+  // normalize arguments
+  const cb = _.isFunction(value) ? value : done;
+  const config = getConfig();
+  const start = _.isNumber(value)
+    ? value
+    : _.defaultTo(config.start, SEQUENCE_START);
+  const { increment = config.increment } = _.merge({}, criteria);
+
+  // ensure valid start and increment
+  const invalid = validateSteps({ start, increment });
+  if (invalid) {
+    return withCallback(Promise.reject(invalid), cb);
+  }
+
+  // upsert counter with rewinded sequence
+  const counter = Counter.findOneAndUpdate(
+    createCriteria(criteria),
+    { $set: { sequence: start - increment } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  )
+    .exec()
+    .then((rewound) => {
+      // invalidate reserved in memory sequences
+      bumpRevision(Counter);
+      return rewound;
+    });
+
+  // return counter promise
+  return withCallback(counter, cb);
+};
+
+/**
+ * @name clear
+ * @function clear
+ * @description Delete counter(s) matching specified criteria. In memory
+ * blocks of this process are discarded, while other processes hand out their
+ * blocks until exhausted.
+ * @param {object} criteria valid counter criteria
+ * @param {string} [criteria.namespace] valid sequence namespace
+ * @param {string} [criteria.field] valid sequence field
+ * @param {string} [criteria.period] valid sequence period
+ * @param {string} [criteria.scope] valid sequence scope i.e tenant
+ * @param {string} [criteria.prefix] valid sequence prefix
+ * @param {string} [criteria.suffix] valid sequence suffix
+ * @param {Function} [done] a callback to invoke on success or error
+ * @returns {Promise<object>} delete results or error
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { deletedCount } = await Counter.clear({ prefix: 'INV' });
+ * //=> 1
+ */
+CounterSchema.statics.clear = function clear(criteria, done) {
+  // reference counter
+  const Counter = this;
+
+  // delete counters
+  const results = Counter.deleteMany(createCriteria(criteria))
+    .exec()
+    .then((deleted) => {
+      // invalidate reserved in memory sequences
+      bumpRevision(Counter);
+      return deleted;
+    });
+
+  // return results promise
+  return withCallback(results, done);
+};
+
+/**
+ * @name peek
+ * @function peek
+ * @description Obtain counter matching specified criteria without
+ * incrementing its sequence
+ * @param {object} criteria valid counter criteria
+ * @param {string} [criteria.namespace] valid sequence namespace
+ * @param {string} [criteria.field] valid sequence field
+ * @param {string} [criteria.period] valid sequence period
+ * @param {string} [criteria.scope] valid sequence scope i.e tenant
+ * @param {string} [criteria.prefix] valid sequence prefix
+ * @param {string} [criteria.suffix] valid sequence suffix
+ * @param {Function} [done] a callback to invoke on success or error
+ * @returns {Promise<object>} current counter, null if not exists or error
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { sequence } = await Counter.peek({ prefix: 'INV' });
+ * //=> 5001
+ */
+CounterSchema.statics.peek = function peek(criteria, done) {
+  // reference counter
+  const Counter = this;
+
+  // find counter
+  const counter = Counter.findOne(createCriteria(criteria)).exec();
+
+  // return counter promise
+  return withCallback(counter, done);
+};
+
+/**
+ * @name mergeDuplicates
+ * @function mergeDuplicates
+ * @description Merge duplicate counters i.e counters with same namespace,
+ * field, period, scope, prefix and suffix, keeping the one with max
+ * sequence.
+ *
+ * Used to migrate counters created before unique counter key was enforced.
+ * Prefer `migrate`, which also drops legacy indexes.
+ * @param {Function} [done] a callback to invoke on success or error
+ * @returns {Promise<object>} merge results or error
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { merged, deleted } = await Counter.mergeDuplicates();
+ * //=> { merged: 1, deleted: 2 }
+ * await Counter.syncIndexes();
+ */
+CounterSchema.statics.mergeDuplicates = function mergeDuplicates(done) {
+  // reference counter
+  const Counter = this;
+
+  // find duplicate counters
+  const duplicates = Counter.aggregate([
     {
-      $inc: {
-        sequence: increment,
+      $group: {
+        _id: {
+          namespace: { $ifNull: ['$namespace', null] },
+          field: { $ifNull: ['$field', null] },
+          period: { $ifNull: ['$period', null] },
+          scope: { $ifNull: ['$scope', null] },
+          prefix: { $ifNull: ['$prefix', null] },
+          suffix: { $ifNull: ['$suffix', null] },
+        },
+        counters: { $push: { _id: '$_id', sequence: '$sequence' } },
+        count: { $sum: 1 },
       },
     },
-    {
-      upsert: true,
-      new: true,
-      setDefaultsOnInsert: true,
-    }
-  ).exec(function afterFindOneAndUpdate(error, counter) {
-    // generated formatted sequence
-    if (!error && counter) {
-      // return
-      return done(null, counter);
-    }
+    { $match: { count: { $gt: 1 } } },
+  ]).exec();
+
+  // delete all but counter with max sequence
+  const results = duplicates
+    .then(function afterAggregate(groups) {
+      const ids = _.flatMap(groups, (group) => {
+        const kept = _.maxBy(group.counters, 'sequence');
+        return _.map(_.without(group.counters, kept), '_id');
+      });
+      const deleted = _.isEmpty(ids)
+        ? Promise.resolve({ deletedCount: 0 })
+        : Counter.deleteMany({ _id: { $in: ids } }).exec();
+      return Promise.all([groups.length, deleted]);
+    })
+    .then(([merged, { deletedCount }]) => ({ merged, deleted: deletedCount }));
+
+  // return results promise
+  return withCallback(results, done);
+};
+
+/**
+ * @name migrate
+ * @function migrate
+ * @description Migrate counters created by previous versions. It drops
+ * legacy unique indexes that include sequence, merges duplicate counters
+ * and creates current indexes.
+ *
+ * Must be run once after upgrade, otherwise counters of different field,
+ * period or scope that reach same sequence fail with duplicate key error.
+ * @param {Function} [done] a callback to invoke on success or error
+ * @returns {Promise<object>} migration results or error
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const { dropped, merged, deleted } = await Counter.migrate();
+ * //=> { dropped: ['namespace_1_prefix_1_suffix_1_sequence_1'], ... }
+ */
+CounterSchema.statics.migrate = function migrate(done) {
+  // reference counter
+  const Counter = this;
 
-    // loop till succeed
+  // drop legacy indexes i.e unique indexes that include sequence
+  const dropped = Counter.collection
+    .indexes()
+    .catch(function onError(error) {
+      if (error.codeName === 'NamespaceNotFound' || error.code === 26) {
+        return [];
+      }
+      throw error;
+    })
+    .then(function afterIndexes(existing) {
+      const legacies = _.filter(existing, (index) =>
+        _.has(index.key, 'sequence')
+      );
+      const names = _.map(legacies, 'name');
+      const drops = _.map(names, (name) => Counter.collection.dropIndex(name));
+      return Promise.all(drops).then(() => names);
+    });
 
-    return Counter.generate(options, done);
+  // merge duplicate counters and create current indexes
+  const results = dropped.then(function afterDrop(names) {
+    return Counter.mergeDuplicates()
+      .then((merged) => Counter.createIndexes().then(() => merged))
+      .then((merged) => _.merge({ dropped: names }, merged));
   });
+
+  // return results promise
+  return withCallback(results, done);
 };
 
-// TODO:
-// CounterSchema.statics.setup = function setup() {// initialize with start};
-// CounterSchema.statics.reset = function reset() {// restore to specified start};
-// CounterSchema.statics.clear = function clear() {// clear counter};
+/**
+ * @function createCounterModel
+ * @name createCounterModel
+ * @description Create or obtain counter model on a connection. Used to keep
+ * counters alongside models registered on non default connection. Counter
+ * model on non default collection is registered as `<modelName>_<collection>`.
+ * Throws if model name is already registered on other collection.
+ * @param {object} [connection] valid mongoose connection. Default to
+ * mongoose default connection.
+ * @param {object} [optns] valid counter model options
+ * @param {string} [optns.modelName=Counter] valid counter model name
+ * @param {string} [optns.collection=counters] valid counter collection name
+ * @returns {object} valid counter model
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const connection = mongoose.createConnection(TENANT_MONGODB_URI);
+ * const Counter = createCounterModel(connection, { collection: 'sequences' });
+ * await Counter.generate({ namespace: 'Invoice', prefix: 'INV' });
+ */
+export function createCounterModel(connection, optns) {
+  // normalize options
+  const options = _.merge(
+    { modelName: SEQUENCE_MODEL_NAME, collection: SEQUENCE_COLLECTION_NAME },
+    _.omitBy(optns, _.isNil)
+  );
+  const { collection } = options;
+  const db = isConnection(connection) ? connection : mongoose.connection;
+
+  // ensure unique model name per non default collection
+  const modelName =
+    collection === SEQUENCE_COLLECTION_NAME
+      ? options.modelName
+      : `${options.modelName}_${collection}`;
+  const key = `${modelName}.${collection}`;
+
+  // obtain already registered counter model
+  const registered = _.get(db.models, modelName);
+  if (registered) {
+    if (registered.collection.collectionName !== collection) {
+      throw new Error('Counter Collection Mismatch');
+    }
+    return registered;
+  }
+
+  // obtain counter schema of the model and collection
+  if (!COUNTER_SCHEMAS[key]) {
+    const schema = CounterSchema.clone();
+    schema.set('collection', collection);
+    schema.statics.MODEL_NAME = modelName;
+    schema.statics.COLLECTION_NAME = collection;
+    COUNTER_SCHEMAS[key] = schema;
+  }
+
+  // register counter model on its collection
+  return db.model(modelName, COUNTER_SCHEMAS[key], collection);
+}
 
 /* export counter model */
-const CounterModel = model(SEQUENCE_MODEL_NAME, CounterSchema);
+const CounterModel = createCounterModel();
 export default CounterModel;
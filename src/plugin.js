@@ -0,0 +1,1897 @@
+import { createHmac } from 'crypto';
+import _ from 'lodash';
+import { getNumber } from '@lykmapipo/env';
+import moment from 'moment';
+import mongoose from 'mongoose';
+import {
+  SchemaString,
+  SchemaNumber,
+  MongooseError,
+  isInstance,
+  isModel,
+} from '@lykmapipo/mongoose-common';
+import Counter, {
+  isRetryableError,
+  createCounterModel,
+  withCallback,
+  getRevision,
+} from './counter.model';
+import { configure, getConfig } from './config';
+
+/* constants */
+const $error = '`{VALUE}` is not a valid sequence value for path `{PATH}`.';
+const DEFAULT_VALUE = 'sequence';
+const DEFAULT_PAD = '0';
+const NUMBER_PREFIX = 'number';
+const ON_VALIDATE = 'validate';
+const ON_SAVE = 'save';
+const STRICT_REJECT = 'reject';
+const STRICT_REGENERATE = 'regenerate';
+const PERIOD_FORMATS = {
+  year: 'YYYY',
+  month: 'YYYY-MM',
+  week: 'GGGG-[W]WW',
+  day: 'YYYY-MM-DD',
+};
+const TEMPLATE_TOKEN = /\{([^{}:]+)(?::(\d+))?\}/g;
+const TEMPLATE_SEQUENCE_TOKENS = ['seq', 'sequence'];
+const TEMPLATE_COUNTER_TOKENS = ['namespace', 'prefix', 'suffix'];
+const TEMPLATE_DATE_WIDTHS = {
+  YYYY: 4,
+  YY: 2,
+  GGGG: 4,
+  MM: 2,
+  DD: 2,
+  DDDD: 3,
+  WW: 2,
+  HH: 2,
+  hh: 2,
+  mm: 2,
+  ss: 2,
+  Q: 1,
+};
+const SEQUENCE_BLOCKS = new Map();
+const SEQUENCE_BLOCKS_LIMIT = getNumber('SEQUENCE_BLOCKS_LIMIT', 1000);
+const SEQUENCE_HOOKS = new WeakSet();
+const SEQUENCE_VALID = 'valid';
+const SEQUENCE_INVALID = 'invalid';
+const SEQUENCE_MISSING = 'missing';
+const OBFUSCATE_ROUNDS = 8;
+const OVERFLOW_GROW = 'grow';
+const OVERFLOW_ERROR = 'error';
+const OVERFLOW_WRAP = 'wrap';
+const OVERFLOW_ROLLOVER = 'rollover';
+const DIGITS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const DECIMAL_ALPHABET = DIGITS.slice(0, 10);
+const CROCKFORD_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const ALPHABETS = {
+  decimal: DECIMAL_ALPHABET,
+  base36: DIGITS,
+  crockford: CROCKFORD_ALPHABET,
+};
+
+/**
+ * @function createPrefix
+ * @name createPrefix
+ * @description create prefix generator
+ * @param {string | Function} [prefix] custom prefix
+ * @returns {Function} valid prefix
+ * @private
+ */
+function createPrefix(prefix) {
+  if (_.isFunction(prefix)) {
+    return prefix;
+  }
+  return function doPrefix() {
+    if (_.isEmpty(prefix)) {
+      return moment(new Date()).format(getConfig().yearFormat);
+    }
+    return prefix;
+  };
+}
+
+/**
+ * @function createSuffix
+ * @name createSuffix
+ * @description create suffix generator
+ * @param {string | Function} [suffix] custom suffix
+ * @returns {Function} valid suffix
+ * @private
+ */
+function createSuffix(suffix) {
+  if (_.isFunction(suffix)) {
+    return suffix;
+  }
+  return function doSuffix() {
+    if (_.isEmpty(suffix)) {
+      return '';
+    }
+    return suffix;
+  };
+}
+
+/**
+ * @function createPeriod
+ * @name createPeriod
+ * @description create reset cycle bucket of current date
+ * @param {string} [resetEvery] valid reset cycle i.e year, month, week or day
+ * @returns {string | undefined} valid period bucket
+ * @private
+ */
+function createPeriod(resetEvery) {
+  const periodFormat = PERIOD_FORMATS[resetEvery];
+  if (periodFormat) {
+    return moment(new Date()).format(periodFormat);
+  }
+  return undefined;
+}
+
+/**
+ * @function createScope
+ * @name createScope
+ * @description create counter scope of model instance
+ * @param {string | Function} [scope] valid scope path or function
+ * @returns {Function} scope resolver
+ * @private
+ */
+function createScope(scope) {
+  // dont use arrow: this will be binded to instance
+  return function doScope() {
+    /* this -> Model instance */
+    let value = _.isFunction(scope) ? scope.call(this, this) : scope;
+    value = isInstance(this) && _.isString(scope) ? this.get(scope) : value;
+    value = _.get(value, '_id', value);
+    return _.isNil(value) || value === '' ? undefined : String(value);
+  };
+}
+
+/**
+ * @function isFieldToken
+ * @name isFieldToken
+ * @description check if template token refer to model instance field
+ * @param {object} [context] valid model instance
+ * @param {string} token valid template token
+ * @returns {boolean} whether token is a field
+ * @private
+ */
+function isFieldToken(context, token) {
+  return isInstance(context) && !!context.schema.path(token);
+}
+
+/**
+ * @function createAlphabet
+ * @name createAlphabet
+ * @description create sequence digits alphabet
+ * @param {number} [radix] valid radix between 2 and 36
+ * @param {string} [alphabet] valid alphabet name i.e base36, crockford or
+ * custom distinct digits
+ * @returns {string} valid alphabet. Default to decimal digits.
+ * @private
+ */
+function createAlphabet(radix, alphabet) {
+  const $alphabet = ALPHABETS[alphabet] || alphabet;
+  const isAlphabet =
+    _.isString($alphabet) &&
+    $alphabet.length > 1 &&
+    _.uniq($alphabet).length === $alphabet.length;
+  if (isAlphabet) {
+    return $alphabet;
+  }
+  if (_.isInteger(radix) && radix > 1 && radix <= DIGITS.length) {
+    return DIGITS.slice(0, radix);
+  }
+  return DECIMAL_ALPHABET;
+}
+
+/**
+ * @function toDigits
+ * @name toDigits
+ * @description convert sequence to digits of alphabet
+ * @param {number} sequence valid sequence
+ * @param {string} [alphabet] valid alphabet
+ * @returns {string} sequence digits
+ * @private
+ */
+function toDigits(sequence, alphabet = DECIMAL_ALPHABET) {
+  if (!_.isSafeInteger(sequence)) {
+    return _.toString(sequence);
+  }
+  if (sequence < 0) {
+    return `-${toDigits(-sequence, alphabet)}`;
+  }
+  const radix = alphabet.length;
+  let value = sequence;
+  let digits = '';
+  do {
+    digits = `${alphabet[value % radix]}${digits}`;
+    value = Math.floor(value / radix);
+  } while (value > 0);
+  return digits;
+}
+
+/**
+ * @function padDigits
+ * @name padDigits
+ * @description convert sequence to padded digits of alphabet. Sign of
+ * negative sequence precede pads i.e -0005.
+ * @param {number} sequence valid sequence
+ * @param {number} length valid sequence length
+ * @param {string} pad valid sequence pad
+ * @param {string} [alphabet] valid alphabet
+ * @returns {string} padded sequence digits
+ * @private
+ */
+function padDigits(sequence, length, pad, alphabet) {
+  const digits = toDigits(sequence, alphabet);
+  if (_.isSafeInteger(sequence) && sequence < 0) {
+    return `-${_.padStart(digits.slice(1), length, pad)}`;
+  }
+  return _.padStart(digits, length, pad);
+}
+
+/**
+ * @function normalizeDigits
+ * @name normalizeDigits
+ * @description normalize digits of alphabet. Crockford digits are case
+ * insensitive and O, I and L are read as 0, 1 and 1.
+ * @param {string} digits valid sequence digits
+ * @param {string} [alphabet] valid alphabet
+ * @returns {string} normalized digits
+ * @private
+ */
+function normalizeDigits(digits, alphabet = DECIMAL_ALPHABET) {
+  const $digits = _.toString(digits);
+  if (alphabet === CROCKFORD_ALPHABET) {
+    return _.toUpper($digits).replace(/O/g, '0').replace(/[IL]/g, '1');
+  }
+  return $digits;
+}
+
+/**
+ * @function fromDigits
+ * @name fromDigits
+ * @description convert digits of alphabet to sequence
+ * @param {string} digits valid sequence digits
+ * @param {string} [alphabet] valid alphabet
+ * @returns {number} sequence or NaN
+ * @private
+ */
+function fromDigits(digits, alphabet = DECIMAL_ALPHABET) {
+  const $digits = normalizeDigits(digits, alphabet);
+  const radix = alphabet.length;
+  return _.reduce(
+    _.split($digits, ''),
+    (value, digit) => {
+      const index = alphabet.indexOf(digit);
+      return index < 0 ? NaN : value * radix + index;
+    },
+    _.isEmpty($digits) ? NaN : 0
+  );
+}
+
+/**
+ * @function digitsPattern
+ * @name digitsPattern
+ * @description create regular expression character class of alphabet
+ * @param {string} [alphabet] valid alphabet
+ * @returns {string} valid character class
+ * @private
+ */
+function digitsPattern(alphabet = DECIMAL_ALPHABET) {
+  let chars = alphabet;
+  if (alphabet === CROCKFORD_ALPHABET) {
+    chars = `${alphabet}${_.toLower(alphabet)}OoIiLl`;
+  }
+  return `[${_.escapeRegExp(chars).replace(/-/g, '\\-')}]`;
+}
+
+/**
+ * @function formatTemplate
+ * @name formatTemplate
+ * @description format sequence using template string
+ * @param {string} template valid template i.e INV-{YYYY}{MM}-{seq:6}
+ * @param {object} optns valid format options
+ * @returns {string} formatted sequence
+ * @private
+ */
+function formatTemplate(template, optns) {
+  /* this -> Model instance */
+  const { sequence, length, pad, alphabet, date } = optns;
+  return template.replace(TEMPLATE_TOKEN, (match, token, width) => {
+    // format sequence
+    if (_.includes(TEMPLATE_SEQUENCE_TOKENS, token)) {
+      return padDigits(sequence, Number(width) || length, pad, alphabet);
+    }
+    // format counter values
+    if (_.includes(TEMPLATE_COUNTER_TOKENS, token)) {
+      return _.toString(optns[token]);
+    }
+    // format instance fields
+    if (isFieldToken(this, token)) {
+      return _.toString(this.get(token));
+    }
+    // format date
+    return date.format(token);
+  });
+}
+
+/**
+ * @function parsePadded
+ * @name parsePadded
+ * @description parse padded sequence
+ * @param {string} padded valid padded sequence
+ * @param {number} length valid sequence length
+ * @param {string} pad valid sequence pad
+ * @param {string} [alphabet] valid sequence alphabet
+ * @returns {number | undefined} valid sequence
+ * @private
+ */
+function parsePadded(padded, length, pad, alphabet) {
+  const value = _.toString(padded);
+  const sign = _.startsWith(value, '-') ? -1 : 1;
+  const pattern = new RegExp(`${digitsPattern(alphabet)}+$`);
+  const [digits = ''] = value.match(pattern) || [];
+  const sequence = sign * fromDigits(digits, alphabet);
+  const pads = value.slice(0, value.length - digits.length);
+  const isPadded =
+    _.isFinite(sequence) &&
+    padDigits(sequence, length, pad, alphabet) ===
+      `${pads}${normalizeDigits(digits, alphabet)}`;
+  return isPadded ? sequence : undefined;
+}
+
+/**
+ * @function parseTemplate
+ * @name parseTemplate
+ * @description parse sequence formatted using template string
+ * @param {string} template valid template i.e INV-{YYYY}{MM}-{seq:6}
+ * @param {string} value valid formatted sequence
+ * @param {object} optns valid format options
+ * @returns {object | undefined} parsed sequence
+ * @private
+ */
+function parseTemplate(template, value, optns) {
+  const { length, pad, alphabet } = optns;
+
+  // compile template into pattern i.e [literal, token, width, ...]
+  const parts = _.split(template, TEMPLATE_TOKEN);
+  const groups = [];
+  const pattern = _.map(parts, function compile(part, index) {
+    // handle literal
+    const kind = index % 3;
+    if (kind === 0) {
+      return _.escapeRegExp(part);
+    }
+    // ignore token width
+    if (kind === 2) {
+      return '';
+    }
+    // handle sequence token
+    if (_.includes(TEMPLATE_SEQUENCE_TOKENS, part)) {
+      groups.push({ token: 'sequence', width: Number(parts[index + 1]) });
+      return `([\\s\\S]*?${digitsPattern(alphabet)}+)`;
+    }
+    // handle known counter token
+    if (_.includes(TEMPLATE_COUNTER_TOKENS, part) && _.isString(optns[part])) {
+      return _.escapeRegExp(optns[part]);
+    }
+    // handle unknown counter token
+    if (_.includes(TEMPLATE_COUNTER_TOKENS, part)) {
+      groups.push({ token: part });
+      return '([\\s\\S]*?)';
+    }
+    // handle fixed width date token
+    if (TEMPLATE_DATE_WIDTHS[part]) {
+      return `\\d{${TEMPLATE_DATE_WIDTHS[part]}}`;
+    }
+    // handle field and other date tokens
+    return '[\\s\\S]*?';
+  }).join('');
+
+  // match value
+  const matches = new RegExp(`^${pattern}$`).exec(_.toString(value));
+  if (!matches) {
+    return undefined;
+  }
+
+  // collect captured tokens and ensure padded sequence
+  const { prefix, suffix } = optns;
+  const parsed = { prefix, suffix };
+  const sequences = [];
+  _.forEach(groups, (group, index) => {
+    const captured = matches[index + 1];
+    if (group.token === 'sequence') {
+      const width = group.width || length;
+      sequences.push(parsePadded(captured, width, pad, alphabet));
+    } else {
+      parsed[group.token] = captured;
+    }
+  });
+  const isPadded =
+    !_.isEmpty(sequences) &&
+    _.every(sequences, _.isNumber) &&
+    _.uniq(sequences).length === 1;
+  if (!isPadded) {
+    return undefined;
+  }
+
+  // return parsed sequence
+  parsed.sequence = _.first(sequences);
+  return _.omitBy(parsed, _.isUndefined);
+}
+
+/**
+ * @function luhn
+ * @name luhn
+ * @description compute luhn check digit. Non decimal alphabet use luhn mod
+ * N i.e radix of the alphabet.
+ * @param {number[]} digits valid digits values
+ * @param {string} [alphabet] valid alphabet
+ * @returns {string} valid check digit
+ * @private
+ */
+function luhn(digits, alphabet = DECIMAL_ALPHABET) {
+  const radix = alphabet.length;
+  const sum = _.sum(
+    _.map(_.reverse(_.clone(digits)), (digit, index) => {
+      const value = digit * (index % 2 === 0 ? 2 : 1);
+      return Math.floor(value / radix) + (value % radix);
+    })
+  );
+  return alphabet[(radix - (sum % radix)) % radix];
+}
+
+/**
+ * @function mod11
+ * @name mod11
+ * @description compute modulus 11 check digit using weights 2 to 7 from
+ * the right. Remainder 10 is represented as X.
+ * @param {number[]} digits valid digits values
+ * @returns {string} valid check digit
+ * @private
+ */
+function mod11(digits) {
+  const sum = _.sum(
+    _.map(_.reverse(_.clone(digits)), (digit, index) => {
+      return digit * ((index % 6) + 2);
+    })
+  );
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+/**
+ * @function iso7064
+ * @name iso7064
+ * @description compute ISO 7064 MOD 11-2 check digit. Remainder 10 is
+ * represented as X.
+ * @param {number[]} digits valid digits values
+ * @returns {string} valid check digit
+ * @private
+ */
+function iso7064(digits) {
+  const product = _.reduce(
+    digits,
+    (previous, digit) => ((previous + digit) * 2) % 11,
+    0
+  );
+  const check = (12 - product) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+/**
+ * @function createCheckDigit
+ * @name createCheckDigit
+ * @description create check digit generator. Built in algorithms compute
+ * check digit from values of alphabet digits of formatted sequence i.e
+ * base36 A is 10, so letters are checked too.
+ * @param {string | Function} [checkDigit] valid algorithm i.e luhn, mod11,
+ * iso7064 or custom check digit generator
+ * @param {string} [alphabet] valid sequence alphabet
+ * @returns {Function | undefined} valid check digit generator
+ * @private
+ */
+function createCheckDigit(checkDigit, alphabet = DECIMAL_ALPHABET) {
+  if (_.isFunction(checkDigit)) {
+    return checkDigit;
+  }
+  const algorithm = { luhn, mod11, iso7064 }[checkDigit];
+  if (!algorithm) {
+    return undefined;
+  }
+  return function doCheckDigit(value) {
+    const digits = _.split(normalizeDigits(value, alphabet), '');
+    const values = _.filter(
+      _.map(digits, (digit) => alphabet.indexOf(digit)),
+      (digit) => digit >= 0
+    );
+    return algorithm(values, alphabet);
+  };
+}
+
+/**
+ * @function permute
+ * @name permute
+ * @description keyed feistel permutation of numbers within [0, size) domain.
+ * Values permuted out of domain are permuted again i.e cycle walking.
+ * @param {number} value valid number within domain
+ * @param {number} size valid domain size
+ * @param {string} key valid secret key
+ * @param {boolean} [inverse] whether to reverse permutation
+ * @returns {number} permuted number
+ * @private
+ */
+function permute(value, size, key, inverse) {
+  // split domain into two halves of bits
+  const bits = Math.max(2, Math.ceil(Math.log2(size)));
+  const half = 2 ** Math.ceil(bits / 2);
+  const round = (r, i) => {
+    const hash = createHmac('sha256', key).update(`${i}:${r}`).digest();
+    return hash.readUIntBE(0, 6) % half;
+  };
+  const rounds = inverse
+    ? _.rangeRight(OBFUSCATE_ROUNDS)
+    : _.range(OBFUSCATE_ROUNDS);
+
+  // run rounds and walk cycle till value is within domain
+  let permuted = value;
+  do {
+    let left = Math.floor(permuted / half);
+    let right = permuted % half;
+    _.forEach(rounds, (i) => {
+      if (inverse) {
+        [left, right] = [(right - round(left, i) + half) % half, left];
+      } else {
+        [left, right] = [right, (left + round(right, i)) % half];
+      }
+    });
+    permuted = left * half + right;
+  } while (permuted >= size);
+
+  return permuted;
+}
+
+/**
+ * @function createObfuscator
+ * @name createObfuscator
+ * @description create reversible sequence obfuscator.
+ *
+ * Sequences shorter than length are permuted within [0, radix^length) and
+ * longer sequences within sequences of same digits, so obfuscated sequence
+ * is unique and has same number of digits of alphabet as sequence.
+ * @param {string | object} [obfuscate] valid secret key or options
+ * @param {number} length valid sequence length
+ * @param {string} [alphabet] valid sequence alphabet
+ * @returns {object | undefined} valid encoder and decoder
+ * @private
+ */
+function createObfuscator(obfuscate, length, alphabet) {
+  const { key } = _.isString(obfuscate)
+    ? { key: obfuscate }
+    : _.merge({}, obfuscate);
+  if (_.isEmpty(key)) {
+    return undefined;
+  }
+
+  // obtain domain of the sequence
+  const radix = _.size(alphabet) || 10;
+  const domainOf = (value) => {
+    const digits = toDigits(value, alphabet).length;
+    if (digits <= length) {
+      return { min: 0, size: radix ** length };
+    }
+    const min = radix ** (digits - 1);
+    return { min, size: min * (radix - 1) };
+  };
+
+  // permute within domain
+  const transform = (inverse) => (value) => {
+    if (!_.isSafeInteger(value) || value < 0) {
+      return value;
+    }
+    const { min, size } = domainOf(value);
+    return min + permute(value - min, size, key, inverse);
+  };
+
+  return { encode: transform(false), decode: transform(true) };
+}
+
+/**
+ * @function createFormat
+ * @name createFormat
+ * @description create sequence formatter
+ * @param {Function | string} [format] custom sequence formatter or template
+ * @param {Function} [checkDigit] valid check digit generator to append
+ * @returns {Function} valid format
+ * @private
+ */
+function createFormat(format, checkDigit) {
+  if (checkDigit) {
+    const doFormat = createFormat(format);
+    return function doCheckDigit(optns) {
+      const value = doFormat.call(this, optns);
+      return `${value}${checkDigit.call(this, value, optns)}`;
+    };
+  }
+  if (_.isFunction(format)) {
+    return format;
+  }
+  if (_.isString(format)) {
+    return function doTemplate(optns) {
+      return formatTemplate.call(this, format, optns);
+    };
+  }
+  return function doFormat(optns) {
+    // obtain options
+    const { prefix, sequence, suffix, length, pad, separator } = optns;
+    // add pads if sequence length < length
+    let $sequence = padDigits(sequence, length, pad, optns.alphabet);
+    // format sequence number
+    $sequence = [prefix, $sequence, suffix].join(separator);
+    // return formatted sequence
+    return $sequence;
+  };
+}
+
+/**
+ * @function createParse
+ * @name createParse
+ * @description create sequence parser. Default parser is the inverse of
+ * default sequence formatter or template. Unknown i.e undefined prefix or
+ * suffix is inferred from value.
+ * @param {Function} [parse] custom sequence parser
+ * @param {Function | string} [format] custom sequence formatter or template
+ * @param {Function} [checkDigit] valid check digit generator to verify
+ * @param {object} [obfuscator] valid sequence obfuscator to decode
+ * @returns {Function} valid parse
+ * @private
+ */
+function createParse(parse, format, checkDigit, obfuscator) {
+  if (obfuscator) {
+    const doParse = createParse(parse, format, checkDigit);
+    return function doDecode(value, optns) {
+      const parsed = doParse.call(this, value, optns);
+      if (parsed && _.isNumber(parsed.sequence)) {
+        parsed.sequence = obfuscator.decode(parsed.sequence);
+      }
+      return parsed;
+    };
+  }
+  if (checkDigit) {
+    const doParse = createParse(parse, format);
+    return function doCheckDigit(value, optns) {
+      const $value = _.toString(value).slice(0, -1);
+      const check = _.toString(value).slice(-1);
+      const isChecked =
+        !_.isEmpty(check) && checkDigit.call(this, $value, optns) === check;
+      return isChecked ? doParse.call(this, $value, optns) : undefined;
+    };
+  }
+  if (_.isFunction(parse)) {
+    return parse;
+  }
+  if (_.isString(format)) {
+    return function doTemplate(value, optns) {
+      return parseTemplate(format, value, optns);
+    };
+  }
+  return function doParse(value, optns) {
+    // obtain options
+    const { prefix, suffix, length, pad, separator, alphabet } = optns;
+    if (!_.isString(value)) {
+      return undefined;
+    }
+    const startsWithDigit = new RegExp(`^${digitsPattern(alphabet)}`);
+
+    // obtain bounds of padded sequence i.e sign and max safe integer digits
+    // known prefix and suffix fix where padded sequence start and end
+    const digits = toDigits(Number.MAX_SAFE_INTEGER, alphabet).length;
+    const maxPadded = Math.max(length, digits) + 1;
+    const isKnownPrefix = _.isString(prefix);
+    const isKnownSuffix = _.isString(suffix);
+    const from = isKnownPrefix ? prefix.length + separator.length : 0;
+    const to = isKnownSuffix
+      ? value.length - suffix.length - separator.length
+      : value.length;
+    const isTooLong = isKnownPrefix && isKnownSuffix && to - from > maxPadded;
+    if (to <= from || isTooLong) {
+      return undefined;
+    }
+
+    // collect possible prefix, sequence and suffix splits
+    // i.e [prefix, padded, suffix].join(separator)
+    const splits = [];
+    const first = isKnownSuffix ? Math.max(from, to - maxPadded) : from;
+    const starts = isKnownPrefix ? [from] : _.range(first, to);
+    _.forEach(starts, (i) => {
+      const ends = isKnownSuffix
+        ? [to]
+        : _.range(i + 1, Math.min(i + maxPadded, to) + 1);
+      _.forEach(ends, (j) => {
+        const head = value.slice(0, i);
+        const padded = value.slice(i, j);
+        const tail = value.slice(j);
+        if (!_.endsWith(head, separator) || !_.startsWith(tail, separator)) {
+          return;
+        }
+        const $prefix = head.slice(0, head.length - separator.length);
+        const $suffix = tail.slice(separator.length);
+        const isPrefix = isKnownPrefix
+          ? $prefix === prefix
+          : !_.isEmpty($prefix);
+        const isSuffix = isKnownSuffix
+          ? $suffix === suffix
+          : !startsWithDigit.test($suffix);
+        const sequence =
+          isPrefix && isSuffix && parsePadded(padded, length, pad, alphabet);
+        if (_.isNumber(sequence)) {
+          const exact = padded.length === length;
+          splits.push({ prefix: $prefix, sequence, suffix: $suffix, exact, i });
+        }
+      });
+    });
+
+    // prefer exact length sequence with longest prefix
+    const split = _.first(_.orderBy(splits, ['exact', 'i'], ['desc', 'desc']));
+    return split ? _.pick(split, ['prefix', 'sequence', 'suffix']) : undefined;
+  };
+}
+
+/**
+ * @function createRollover
+ * @name createRollover
+ * @description create rollover prefix generator
+ * @param {Function} [rollover] custom rollover prefix generator
+ * @param {string} [alphabet] valid sequence alphabet
+ * @returns {Function} valid rollover prefix generator. Default to append
+ * cycle to prefix.
+ * @private
+ */
+function createRollover(rollover, alphabet) {
+  if (_.isFunction(rollover)) {
+    return rollover;
+  }
+  return function doRollover(prefix, cycle) {
+    return `${prefix}${toDigits(cycle, alphabet)}`;
+  };
+}
+
+/**
+ * @function sequenceBounds
+ * @name sequenceBounds
+ * @description obtain step, first sequence, bound and cycle size of a
+ * limited sequence. Bound is max when increment is positive and min when
+ * negative.
+ * @param {object} options valid normalized sequenceable options
+ * @returns {object} valid sequence bounds
+ * @private
+ */
+function sequenceBounds(options) {
+  const config = getConfig();
+  const step = options.increment || config.increment;
+  const bound = step > 0 ? options.max : options.min;
+  const first = _.defaultTo(_.defaultTo(options.start, config.start), step);
+  const size = Math.max(Math.floor((bound - first) / step) + 1, 1);
+  return { step, first, bound, size };
+}
+
+/**
+ * @function createRolloverParse
+ * @name createRolloverParse
+ * @description create parser of sequences issued by default rollover prefix
+ * generator. Prefix followed by cycle digits is accepted, lowest cycle
+ * first, as long as parsed sequence is within bound.
+ * @param {Function} parse valid sequence parser
+ * @param {string} [alphabet] valid sequence alphabet
+ * @returns {Function} valid parse with cycle of parsed sequence
+ * @private
+ */
+function createRolloverParse(parse, alphabet) {
+  return function doRollover(value, optns) {
+    const { prefix } = optns;
+    if (!_.isString(prefix) || !_.isString(value)) {
+      return parse.call(this, value, optns);
+    }
+
+    // collect cycle digits candidates i.e VIP12-0001 -> ['', '1', '12']
+    const maxCycle = toDigits(Number.MAX_SAFE_INTEGER, alphabet).length;
+    const pattern = new RegExp(`^${digitsPattern(alphabet)}{0,${maxCycle}}`);
+    const [digits] = _.startsWith(value, prefix)
+      ? value.slice(prefix.length).match(pattern)
+      : [''];
+    const cycles = _.filter(
+      _.map(_.range(digits.length + 1), (size) => digits.slice(0, size)),
+      (cycle) => {
+        const $cycle = fromDigits(cycle, alphabet);
+        return _.isEmpty(cycle) || toDigits($cycle, alphabet) === cycle;
+      }
+    );
+
+    // parse with first cycle prefix with sequence within bound
+    const { step, bound } = sequenceBounds(optns);
+    const isBounded = (sequence) => {
+      if (!_.isNumber(bound)) {
+        return true;
+      }
+      return step > 0 ? sequence <= bound : sequence >= bound;
+    };
+    let parsed;
+    _.find(cycles, (cycle) => {
+      const $optns = { ...optns, prefix: `${prefix}${cycle}` };
+      const $parsed = parse.call(this, value, $optns);
+      if ($parsed && _.isNumber($parsed.sequence)) {
+        if (isBounded($parsed.sequence)) {
+          const $cycle = _.isEmpty(cycle) ? 0 : fromDigits(cycle, alphabet);
+          parsed = _.merge({}, $parsed, { prefix, cycle: $cycle });
+        }
+      }
+      return !!parsed;
+    });
+    return parsed;
+  };
+}
+
+/**
+ * @function createCounter
+ * @name createCounter
+ * @description Obtain counter model to generate sequences from. Counters
+ * live alongside owning model connection unless connection or counter model
+ * is specified.
+ * @param {object} optns valid sequenceable options
+ * @param {object} [context] valid model instance
+ * @returns {object} valid counter model
+ * @private
+ */
+function createCounter(optns, context) {
+  const { connection, counterModel, collection } = optns;
+  if (isModel(counterModel)) {
+    return counterModel;
+  }
+  const db = connection || _.get(context, 'constructor.db');
+  return createCounterModel(db, { modelName: counterModel, collection });
+}
+
+/**
+ * @function normalizeFormatOptions
+ * @name normalizeFormatOptions
+ * @description Normalize sequenceable options used to format and parse
+ * sequence. Counter key i.e prefix, suffix, period, scope and counter model
+ * are not resolved, so it is safe to use without model instance.
+ * @param {object} optns valid sequenceable options
+ * @param {object} [context] valid model instance to bind generators
+ * @returns {object} normalized format options
+ * @private
+ */
+function normalizeFormatOptions(optns, context) {
+  // normalize options
+  const options = _.merge({}, optns);
+  const { increment, start, pathName, numeric, message, isValid } = options;
+  let { strict, length, pad, separator, format, parse } = options;
+  const template = _.isString(format) ? format : undefined;
+  const config = getConfig();
+  const alphabet = numeric
+    ? DECIMAL_ALPHABET
+    : createAlphabet(options.radix, options.alphabet);
+  length = length || config.length;
+  // default pad not in alphabet fallback to first digit i.e ABCDEFGH use A
+  const isFirstDigitPad =
+    config.pad === DEFAULT_PAD && !_.includes(alphabet, DEFAULT_PAD);
+  pad = pad || (isFirstDigitPad ? alphabet[0] : config.pad);
+  separator = _.isNil(separator) ? config.separator : separator;
+  const checkDigit = numeric
+    ? undefined
+    : createCheckDigit(options.checkDigit, alphabet);
+  const obfuscator = createObfuscator(options.obfuscate, length, alphabet);
+  const { threshold } = options;
+  const overflows = [OVERFLOW_ERROR, OVERFLOW_WRAP, OVERFLOW_ROLLOVER];
+  const limits = _.pick(options, ['max', 'min', 'maxLength']);
+  let onOverflow = _.some(limits, _.isNumber) ? OVERFLOW_ERROR : OVERFLOW_GROW;
+  onOverflow = _.includes([...overflows, OVERFLOW_GROW], options.onOverflow)
+    ? options.onOverflow
+    : onOverflow;
+  const isLimited = onOverflow !== OVERFLOW_GROW || _.isNumber(threshold);
+  const maxLength = options.maxLength || (isLimited ? length : undefined);
+  const max = _.isNumber(options.max)
+    ? options.max
+    : maxLength && alphabet.length ** maxLength - 1;
+  parse = createParse(parse, format, checkDigit, obfuscator);
+  parse =
+    onOverflow === OVERFLOW_ROLLOVER && !_.isFunction(options.rollover)
+      ? createRolloverParse(parse, alphabet)
+      : parse;
+  parse = _.bind(parse, context);
+  format = _.bind(createFormat(format, checkDigit), context);
+  strict = strict === true ? STRICT_REJECT : strict;
+  strict = _.includes([STRICT_REJECT, STRICT_REGENERATE], strict) && strict;
+
+  // return normalized format options
+  return {
+    pathName,
+    numeric,
+    message,
+    increment,
+    start,
+    length,
+    pad,
+    alphabet,
+    separator,
+    format,
+    parse,
+    isValid: _.isFunction(isValid) ? _.bind(isValid, context) : undefined,
+    template,
+    obfuscator,
+    strict,
+    max: max || undefined,
+    min: _.isNumber(options.min) ? options.min : undefined,
+    onOverflow,
+    rollover: _.bind(createRollover(options.rollover, alphabet), context),
+  };
+}
+
+/**
+ * @function normalizeOptions
+ * @name normalizeOptions
+ * @description Normalize sequenceable options i.e format options and
+ * counter options resolved from model instance
+ * @param {object} optns valid sequenceable options
+ * @param {object} [context] valid model instance to bind generators
+ * @returns {object} normalized sequenceable options
+ * @private
+ */
+function normalizeOptions(optns, context) {
+  // normalize options
+  const options = _.merge({}, optns);
+  const { retry, pathName, numeric, gapless, session } = options;
+  const once = !!(options.once || options.immutable);
+  const { blockSize, threshold, onThreshold } = options;
+  const period = createPeriod(options.resetEvery);
+  const scope = _.bind(createScope(options.scope), context)();
+  const on = options.on === ON_SAVE || gapless ? ON_SAVE : ON_VALIDATE;
+  let { namespace, prefix, suffix } = options;
+  const modelName = _.get(context, 'constructor.modelName');
+  const counterModel = createCounter(options, context);
+  const field = namespace ? null : pathName;
+  namespace = namespace || modelName;
+  prefix = numeric && !prefix ? NUMBER_PREFIX : prefix;
+  prefix = _.bind(createPrefix(prefix), context)();
+  suffix = _.bind(createSuffix(suffix), context)();
+
+  // return normalized options
+  return {
+    ...normalizeFormatOptions(optns, context),
+    on,
+    gapless,
+    session,
+    namespace,
+    field,
+    period,
+    scope,
+    prefix,
+    suffix,
+    once,
+    blockSize: _.isInteger(blockSize) && blockSize > 1 ? blockSize : undefined,
+    retry,
+    counterModel,
+    threshold,
+    onThreshold: _.isFunction(onThreshold)
+      ? _.bind(onThreshold, context)
+      : undefined,
+  };
+}
+
+/**
+ * @function createCounterOptions
+ * @name createCounterOptions
+ * @description Derive counter generator options from sequenceable options
+ * @param {object} options valid normalized sequenceable options
+ * @returns {object} valid counter generator options
+ * @private
+ */
+function createCounterOptions(options) {
+  const { namespace, field, period, scope, prefix, increment } = options;
+  const { start, suffix, length, pad, separator, retry, session } = options;
+  const counterOptions = {
+    namespace,
+    field,
+    period,
+    scope,
+    prefix,
+    increment,
+    start,
+    suffix,
+    length,
+    pad,
+    separator,
+    retry,
+    session,
+  };
+  return _.omitBy(counterOptions, _.isUndefined);
+}
+
+/**
+ * @function encodeSequence
+ * @name encodeSequence
+ * @description Obfuscate counter sequence if obfuscation is enabled
+ * @param {number} sequence valid counter sequence
+ * @param {object} options valid normalized sequenceable options
+ * @returns {number} valid sequence value
+ * @private
+ */
+function encodeSequence(sequence, options) {
+  const { obfuscator } = options;
+  return obfuscator ? obfuscator.encode(sequence) : sequence;
+}
+
+/**
+ * @function formatSequence
+ * @name formatSequence
+ * @description Format generated counter into sequence value
+ * @param {object} counter valid counter instance
+ * @param {object} options valid normalized sequenceable options
+ * @returns {string} formatted sequence value
+ * @private
+ */
+function formatSequence(counter, options) {
+  const { length, pad, alphabet, separator, format } = options;
+  const date = moment(new Date());
+  const fmtOptns = {
+    namespace: counter.namespace,
+    prefix: counter.prefix,
+    sequence: encodeSequence(counter.sequence, options),
+    suffix: counter.suffix,
+    length,
+    pad,
+    alphabet,
+    separator,
+    date,
+  };
+  return format(fmtOptns);
+}
+
+/**
+ * @function allocateSequence
+ * @name allocateSequence
+ * @description Allocate next sequence from in memory block (hi/lo).
+ *
+ * A block of sequences is reserved from counter using a single increment
+ * and then handed out from memory, which cut counter round trips.
+ *
+ * Blocks are kept per counter without period, so that block of past period
+ * is replaced by current period block. Least recently used blocks are
+ * evicted above `SEQUENCE_BLOCKS_LIMIT` i.e stale scopes. Blocks reserved
+ * before counters reset or clear are discarded.
+ *
+ * Tradeoffs:
+ * - sequences not handed out before process exit are lost, i.e gaps
+ * - sequences of replaced, evicted or discarded blocks are lost, i.e gaps
+ * - processes hand out sequences from different blocks concurrently, so
+ * sequences are unique but not ordered by creation time across processes
+ * @param {object} counterModel valid counter model
+ * @param {object} counterOptions valid counter generator options
+ * @param {number} blockSize number of sequences to reserve per block
+ * @returns {Promise<object>} allocated counter sequence or error
+ * @private
+ */
+function allocateSequence(counterModel, counterOptions, blockSize) {
+  // obtain block of the counter, replacing block of past period
+  const { period } = counterOptions;
+  const criteria = _.omit(counterOptions, ['session', 'retry', 'period']);
+  const { db, collection } = counterModel;
+  const key = JSON.stringify([db.id, collection.collectionName, criteria]);
+  let block = SEQUENCE_BLOCKS.get(key);
+  block = block && block.period === period ? block : { period, index: 0 };
+
+  // mark block as recently used and evict least recently used blocks
+  SEQUENCE_BLOCKS.delete(key);
+  SEQUENCE_BLOCKS.set(key, block);
+  while (SEQUENCE_BLOCKS.size > Math.max(SEQUENCE_BLOCKS_LIMIT, 1)) {
+    SEQUENCE_BLOCKS.delete(SEQUENCE_BLOCKS.keys().next().value);
+  }
+
+  // hand out from current block or reserve new block
+  const take = function take() {
+    const { range } = block;
+    const isStale = block.revision !== getRevision(counterModel);
+    if (range && !isStale && block.index < range.count) {
+      const sequence = range.from + block.index * range.increment;
+      block.index += 1;
+      return Promise.resolve(_.merge({}, block.counter, { sequence }));
+    }
+    if (!block.pending) {
+      const revision = getRevision(counterModel);
+      block.pending = counterModel
+        .reserve(counterOptions, blockSize)
+        .then((reserved) => {
+          block.range = reserved;
+          block.counter = reserved.counter.toObject();
+          block.index = 0;
+          block.revision = revision;
+        })
+        .finally(() => {
+          block.pending = undefined;
+        });
+    }
+    return block.pending.then(take);
+  };
+
+  return take();
+}
+
+/**
+ * @function notifyThreshold
+ * @name notifyThreshold
+ * @description Invoke threshold callback outside of sequence generation, so
+ * its errors do not fail generation. Errors are emitted as process warnings.
+ * @param {Function} onThreshold valid threshold callback
+ * @param {object} info valid counter and usage
+ * @private
+ */
+function notifyThreshold(onThreshold, info) {
+  setImmediate(function doNotify() {
+    Promise.resolve()
+      .then(() => onThreshold(info))
+      .catch(function onError(error) {
+        const message = _.get(error, 'message', error);
+        process.emitWarning(`Sequence threshold callback failed: ${message}`, {
+          type: 'SequenceThresholdWarning',
+          detail: _.get(error, 'stack'),
+        });
+      });
+  });
+}
+
+/**
+ * @function limitSequence
+ * @name limitSequence
+ * @description Apply overflow policy and notify threshold of generated
+ * counter sequence.
+ *
+ * Policy is derived from counter sequence position, so is safe across
+ * processes i.e wrap use position within cycle and rollover use position
+ * within cycle with cycle appended to prefix. Sequence is bounded by max
+ * when increment is positive and by min when negative.
+ * @param {object} counter valid generated counter
+ * @param {object} options valid normalized sequenceable options
+ * @returns {object} valid counter with issued sequence
+ * @private
+ */
+function limitSequence(counter, options) {
+  const { max, min, onOverflow, threshold, onThreshold, rollover } = options;
+  const value = isInstance(counter) ? counter.toObject() : _.merge({}, counter);
+  const { sequence, prefix } = value;
+
+  // obtain bound of the sequence i.e max when count up and min when down
+  const { step, first, bound, size } = sequenceBounds(options);
+  if (!_.isNumber(bound) || !_.isNumber(sequence)) {
+    return counter;
+  }
+
+  // obtain sequence position within [first, bound] cycles
+  const index = Math.round((sequence - first) / step);
+  const cycle = Math.floor(index / size);
+  const position = index - cycle * size;
+  const isCycled = _.includes([OVERFLOW_WRAP, OVERFLOW_ROLLOVER], onOverflow);
+
+  // apply overflow policy
+  const issued = {};
+  if (cycle > 0 && onOverflow === OVERFLOW_ERROR) {
+    throw new Error('Sequence Overflow');
+  }
+  if (cycle > 0 && isCycled) {
+    issued.sequence = first + position * step;
+  }
+  if (cycle > 0 && onOverflow === OVERFLOW_ROLLOVER) {
+    issued.prefix = rollover(prefix, cycle, options);
+  }
+
+  // notify threshold crossed i.e previous sequence was below threshold
+  const used = (isCycled ? position : index) + 1;
+  const usage = (used / size) * 100;
+  const isCrossed = usage >= threshold && ((used - 1) / size) * 100 < threshold;
+  if (_.isNumber(threshold) && isCrossed && onThreshold) {
+    const info = { max, min, threshold, usage };
+    notifyThreshold(
+      onThreshold,
+      _.merge({}, value, _.omitBy(info, _.isUndefined))
+    );
+  }
+
+  return _.isEmpty(issued) ? counter : _.merge(value, issued);
+}
+
+/**
+ * @function generateCounter
+ * @name generateCounter
+ * @description Generate next counter sequence, from in memory block when
+ * block size is specified and no session is used, limited by overflow
+ * policy
+ * @param {object} options valid normalized sequenceable options
+ * @returns {Promise<object>} next counter sequence or error
+ * @private
+ */
+function generateCounter(options) {
+  const { blockSize, session, counterModel } = options;
+  const counterOptions = createCounterOptions(options);
+  const counter =
+    blockSize && !session
+      ? allocateSequence(counterModel, counterOptions, blockSize)
+      : counterModel.generate(counterOptions);
+  return counter.then((generated) => limitSequence(generated, options));
+}
+
+/**
+ * @function checkSequence
+ * @name checkSequence
+ * @description Check if path value is a valid, invalid or missing sequence.
+ *
+ * When strict, value is parsed against configured format and invalid value
+ * is either rejected or regenerated.
+ *
+ * When once, sequence is generated only for new instance and later changes
+ * are rejected.
+ * @param {*} v current path value
+ * @param {object} options valid normalized sequenceable options
+ * @returns {string} valid, invalid or missing
+ * @private
+ */
+function checkSequence(v, options) {
+  /* this -> Model instance */
+  const { pathName, prefix, numeric, strict } = options;
+  const { isValid, parse, once, template } = options;
+
+  // check issued sequence
+  if (once && isInstance(this) && !this.isNew) {
+    return this.isModified(pathName) ? SEQUENCE_INVALID : SEQUENCE_VALID;
+  }
+
+  // check numeric sequence
+  if (numeric) {
+    return _.isNumber(v) ? SEQUENCE_VALID : SEQUENCE_MISSING;
+  }
+
+  // check placeholder
+  if (_.isNil(v) || v === '' || v === DEFAULT_VALUE) {
+    return SEQUENCE_MISSING;
+  }
+
+  // check loose sequence i.e has prefix or match template
+  if (!strict) {
+    const isSequence = template ? !!parse(v, options) : _.startsWith(v, prefix);
+    return isSequence ? SEQUENCE_VALID : SEQUENCE_MISSING;
+  }
+
+  // check strict sequence i.e match format
+  const parsed = isValid ? isValid(v, options) : parse(v, options);
+  if (parsed) {
+    return SEQUENCE_VALID;
+  }
+  return strict === STRICT_REJECT ? SEQUENCE_INVALID : SEQUENCE_MISSING;
+}
+
+/**
+ * @function ensureSequence
+ * @name ensureSequence
+ * @description Generate and set sequence on model instance path if it has
+ * no valid sequence
+ * @param {*} v current path value
+ * @param {object} options valid normalized sequenceable options
+ * @returns {Promise<boolean>} whether path has valid sequence or error
+ * @private
+ */
+function ensureSequence(v, options) {
+  /* this -> Model instance */
+  const { pathName, numeric } = options;
+
+  // exit early if path has valid or rejected sequence
+  const state = checkSequence.call(this, v, options);
+  if (state !== SEQUENCE_MISSING) {
+    return Promise.resolve(state === SEQUENCE_VALID);
+  }
+
+  // set generated sequence
+  const setSequence = function setSequence(counter) {
+    if (isInstance(this) && pathName) {
+      if (counter && _.isNumber(counter.sequence)) {
+        this[pathName] = numeric
+          ? encodeSequence(counter.sequence, options)
+          : formatSequence(counter, options);
+      } else {
+        this[pathName] = undefined;
+      }
+    }
+  }.bind(this);
+
+  // generate sequence
+  return generateCounter(options).then(
+    function onSequence(counter) {
+      setSequence(counter);
+      // notify generation completed
+      return !_.isNil(this[pathName]) && this[pathName] !== '';
+    }.bind(this),
+    function onError(error) {
+      // pass through original error to fail validation
+      setSequence();
+      throw error;
+    }
+  );
+}
+
+/**
+ * @function createValidator
+ * @name createValidator
+ * @description Sequence validator factory
+ * @param {object} optns valid sequenciable options
+ * @returns {Function} sequence validator
+ * @private
+ */
+function createValidator(optns) {
+  // dont use arrow: this will be binded to instance
+  return function sequenceValidator(v) {
+    /* this -> Model instance */
+
+    // normalize options
+    const options = normalizeOptions(optns, this);
+
+    // defer generation to pre save hook
+    if (options.on === ON_SAVE) {
+      const state = checkSequence.call(this, v, options);
+      return Promise.resolve(state !== SEQUENCE_INVALID);
+    }
+
+    // generate sequence
+    return ensureSequence.call(this, v, options);
+  };
+}
+
+/**
+ * @function isTransaction
+ * @name isTransaction
+ * @description Check if session has an active transaction
+ * @param {object} [session] valid client session
+ * @returns {boolean} whether session is in transaction
+ * @private
+ */
+function isTransaction(session) {
+  return !!session && session.inTransaction();
+}
+
+/**
+ * @function createSaveHook
+ * @name createSaveHook
+ * @description Sequence pre save hook factory. Used to generate sequence
+ * after validation passes so that only persisted instance consume numbers.
+ *
+ * When gapless, sequence is generated within instance session transaction,
+ * so that increment is rolled back together with instance save. It fails
+ * without an active transaction.
+ * @param {object} optns valid sequenciable options
+ * @returns {Function} sequence pre save hook
+ * @private
+ */
+function createSaveHook(optns) {
+  // dont use arrow: this will be binded to instance
+  return function sequenceOnSave() {
+    /* this -> Model instance */
+
+    // normalize options
+    const options = normalizeOptions(optns, this);
+    const { pathName, message, gapless } = options;
+    const value = this.get(pathName);
+
+    // use instance transaction to rollback increment with instance save
+    if (gapless) {
+      const session = this.$session();
+      options.session = isTransaction(session) ? session : undefined;
+    }
+
+    // fail save with sequenceable validation error
+    const fail = function fail(reason) {
+      const error = new MongooseError.ValidationError(this);
+      const validatorError = new MongooseError.ValidatorError({
+        path: pathName,
+        message,
+        type: 'sequenceable',
+        value,
+        reason,
+      });
+      error.addError(pathName, validatorError);
+      throw error;
+    }.bind(this);
+
+    // generate sequence
+    const sequence =
+      gapless && !options.session
+        ? Promise.reject(new Error('Gapless Sequence Requires Transaction'))
+        : ensureSequence.call(this, value, options);
+    return sequence.then(function onSequence(isValid) {
+      if (!isValid) {
+        fail();
+      }
+    }, fail);
+  };
+}
+
+/**
+ * @function createInsertManyHook
+ * @name createInsertManyHook
+ * @description Sequence pre insertMany hook factory. Used to reserve
+ * consecutive sequences for bulk inserts using single counter write per
+ * counter criteria.
+ * @param {object} optns valid sequenciable options
+ * @returns {Function} sequence pre insertMany hook
+ * @private
+ */
+function createInsertManyHook(optns) {
+  // dont use arrow: this will be binded to model
+  return function sequenceOnInsertMany(next, docs, insertOptions) {
+    /* this -> Model */
+    const Model = this;
+    const session = _.get(insertOptions, 'session');
+
+    // collect instances with missing sequence grouped by counter criteria
+    const groups = {};
+    _.forEach(_.compact(_.castArray(docs)), (doc) => {
+      const instance = isInstance(doc) ? doc : new Model(doc);
+      const options = normalizeOptions(optns, instance);
+      const value = instance.get(options.pathName);
+      const state = checkSequence.call(instance, value, options);
+      if (state === SEQUENCE_MISSING) {
+        options.session =
+          options.gapless && isTransaction(session) ? session : undefined;
+        const counterOptions = createCounterOptions(options);
+        const key = JSON.stringify(_.omit(counterOptions, 'session'));
+        groups[key] = groups[key] || { options, counterOptions, items: [] };
+        groups[key].items.push({ doc, options });
+      }
+    });
+
+    // reserve and set sequences per group
+    const reserveSequences = function reserveSequences(group) {
+      const { counterOptions, items } = group;
+      if (group.options.gapless && !counterOptions.session) {
+        throw new Error('Gapless Sequence Requires Transaction');
+      }
+      const { counterModel } = group.options;
+      return counterModel
+        .reserve(counterOptions, items.length)
+        .then((range) => {
+          const counter = range.counter.toObject();
+          _.forEach(items, ({ doc, options }, index) => {
+            const sequence = range.from + index * range.increment;
+            const issued = limitSequence(
+              _.merge({}, counter, { sequence }),
+              options
+            );
+            const value = options.numeric
+              ? encodeSequence(issued.sequence, options)
+              : formatSequence(issued, options);
+            if (isInstance(doc)) {
+              doc.set(options.pathName, value);
+            } else {
+              _.set(doc, options.pathName, value);
+            }
+          });
+        });
+    };
+
+    // reserve sequentially to keep ranges consecutive
+    return _.reduce(
+      _.values(groups),
+      (previous, group) => previous.then(() => reserveSequences(group)),
+      Promise.resolve()
+    ).then(() => next(), next);
+  };
+}
+
+/**
+ * @function parse
+ * @name parse
+ * @alias parseValue
+ * @description Parse formatted sequence value back into its components.
+ *
+ * Prefix and suffix are matched when specified as string, otherwise they
+ * are inferred from value.
+ * @param {string | number} value valid formatted sequence value
+ * @param {object} [optns] valid sequenceable options
+ * @param {string} [optns.prefix] valid sequence prefix
+ * @param {string} [optns.suffix] valid sequence suffix
+ * @param {number} [optns.length] valid sequence length
+ * @param {string} [optns.pad] valid sequence pad
+ * @param {number} [optns.radix] valid sequence radix between 2 and 36
+ * @param {string} [optns.alphabet] valid sequence alphabet i.e base36,
+ * crockford or custom distinct digits
+ * @param {string} [optns.separator] valid sequence separator
+ * @param {Function | string} [optns.format] valid sequence template
+ * @param {Function} [optns.parse] valid custom sequence parser
+ * @param {string} [optns.onOverflow] valid overflow policy. When rollover,
+ * prefix followed by cycle digits is accepted and cycle is returned
+ * @returns {object | undefined} parsed prefix, sequence and suffix
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * parse('VIP220045TZ', { suffix: 'TZ' });
+ * //=> { prefix: 'VIP22', sequence: 45, suffix: 'TZ' }
+ *
+ * parse('VIP220045TZ', { prefix: 'VIP', length: 6, suffix: 'TZ' });
+ * //=> { prefix: 'VIP', sequence: 220045, suffix: 'TZ' }
+ */
+function parseValue(value, optns) {
+  // normalize options
+  const { prefix, suffix } = _.merge({}, optns);
+  const options = normalizeFormatOptions(optns);
+
+  // parse numeric sequence
+  if (options.numeric) {
+    const sequence = _.isNil(value) ? NaN : Number(value);
+    const { obfuscator } = options;
+    if (!_.isFinite(sequence)) {
+      return undefined;
+    }
+    return { sequence: obfuscator ? obfuscator.decode(sequence) : sequence };
+  }
+
+  // mark prefix and suffix unknown if they are generated
+  options.prefix =
+    _.isString(prefix) && !_.isEmpty(prefix) ? prefix : undefined;
+  options.suffix = _.isNil(suffix) ? '' : suffix;
+  options.suffix = _.isString(options.suffix) ? options.suffix : undefined;
+
+  // parse sequence
+  return options.parse(value, options) || undefined;
+}
+
+/**
+ * @function decode
+ * @name decode
+ * @description Recover raw counter sequence from obfuscated sequence value
+ * @param {string | number} value valid formatted or obfuscated sequence
+ * @param {object} optns valid sequenceable options used to generate value
+ * @returns {number | undefined} raw counter sequence
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * decode('VIP857', { prefix: 'VIP', length: 3, obfuscate: SECRET });
+ * //=> 1
+ *
+ * decode(857, { length: 3, obfuscate: SECRET });
+ * //=> 1
+ */
+export function decode(value, optns) {
+  // decode obfuscated sequence
+  if (_.isNumber(value)) {
+    const { obfuscator } = normalizeFormatOptions(optns);
+    return obfuscator ? obfuscator.decode(value) : value;
+  }
+
+  // parse and decode formatted sequence
+  const parsed = parseValue(value, optns);
+  return parsed ? parsed.sequence : undefined;
+}
+
+/**
+ * @function parseSequence
+ * @name parseSequence
+ * @description Parse formatted sequence value of a sequenceable path back
+ * into its components.
+ * @param {string} path valid sequenceable path name
+ * @param {string | number} value valid formatted sequence value
+ * @returns {object | undefined} parsed prefix, sequence and suffix
+ * @since 0.4.0
+ * @version 0.1.0
+ * @static
+ * @public
+ * @example
+ *
+ * Ticket.parseSequence('number', 'VIP220045TZ');
+ * //=> { prefix: 'VIP22', sequence: 45, suffix: 'TZ' }
+ */
+function parseSequence(path, value) {
+  /* this -> Model */
+  const schemaType = this.schema.path(path);
+  const optns = _.get(schemaType, 'sequenceableOptions');
+  return optns ? parseValue(value, optns) : undefined;
+}
+
+/**
+ * @function sequenceablePlugin
+ * @name sequenceablePlugin
+ * @description Register pre save hooks for paths sequenced on save, pre
+ * insertMany hooks and sequence parser static
+ * @param {object} schema valid mongoose schema
+ * @private
+ */
+function sequenceablePlugin(schema) {
+  let hasSequence = false;
+  schema.eachPath(function registerSaveHook(pathName, schemaType) {
+    const optns = _.get(schemaType, 'sequenceableOptions');
+    hasSequence = hasSequence || !!optns;
+
+    // ensure hooks are registered once per path
+    if (!optns || SEQUENCE_HOOKS.has(optns)) {
+      return;
+    }
+    SEQUENCE_HOOKS.add(optns);
+
+    if (optns.on === ON_SAVE) {
+      schema.pre('save', createSaveHook(optns));
+    }
+    schema.pre('insertMany', createInsertManyHook(optns));
+  });
+
+  // register sequence parser
+  if (hasSequence) {
+    schema.static('parseSequence', parseSequence);
+  }
+}
+
+/**
+ * @function nextSequence
+ * @name nextSequence
+ * @description Generate next formatted sequence value
+ * @param {object} optns valid sequenceable options
+ * @param {string} [optns.namespace] valid sequence namespace
+ * @param {string | Function} [optns.prefix] valid sequence prefix
+ * @param {string | Function} [optns.suffix] valid sequence suffix
+ * @param {string} [optns.resetEvery] valid reset cycle i.e year, month,
+ * week or day
+ * @param {string | Function} [optns.scope] valid counter scope i.e tenant.
+ * Used to keep separate sequence series without affecting format.
+ * @param {number} [optns.increment] valid non zero integer sequence
+ * increment. Negative increment count down.
+ * @param {number} [optns.start] first sequence to generate
+ * @param {number} [optns.length] valid sequence length
+ * @param {string} [optns.pad] valid sequence pad
+ * @param {number} [optns.radix] valid sequence radix between 2 and 36
+ * @param {string} [optns.alphabet] valid sequence alphabet i.e base36,
+ * crockford or custom distinct digits
+ * @param {string} [optns.separator] valid sequence separator
+ * @param {Function | string} [optns.format] valid sequence formatter or
+ * template
+ * @param {string | Function} [optns.checkDigit] valid check digit algorithm
+ * i.e luhn, mod11, iso7064 or custom check character generator
+ * @param {string | object} [optns.obfuscate] valid secret key or
+ * `{ key }` to obfuscate sequence using keyed permutation
+ * @param {object} [optns.session] valid client session
+ * @param {object} [optns.connection] valid connection to keep counters on
+ * @param {object | string} [optns.counterModel] valid counter model or its
+ * name
+ * @param {string} [optns.collection] valid counter collection name
+ * @param {number} [optns.blockSize] number of sequences to reserve in memory
+ * per counter round trip. Unused sequences are lost on process exit and
+ * sequences are not ordered across processes.
+ * @param {number} [optns.max] valid max sequence. Default to max sequence
+ * of maxLength or length digits when overflow policy or threshold is set.
+ * @param {number} [optns.maxLength] valid max sequence digits
+ * @param {number} [optns.min] valid min sequence i.e floor of count down
+ * @param {string} [optns.onOverflow] valid overflow policy i.e grow,
+ * error, wrap or rollover. Default to error when max, min or maxLength is
+ * set, otherwise grow
+ * @param {Function} [optns.rollover] valid rollover prefix generator. Default
+ * to append cycle to prefix.
+ * @param {number} [optns.threshold] valid usage percentage to notify
+ * @param {Function} [optns.onThreshold] valid callback invoked with counter
+ * and usage when sequence crosses threshold i.e once per cycle. It is
+ * invoked after generation and its errors are emitted as process warnings
+ * @param {Function} [done] a callback to invoke on success or error
+ * @returns {Promise<string>} next formatted sequence value or error
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * const number = await nextSequence({ namespace: 'Ticket', prefix: 'VIP' });
+ * //=> VIP0001
+ */
+export function nextSequence(optns, done) {
+  // normalize options
+  const options = normalizeOptions(optns);
+
+  // generate and format sequence
+  const sequence = generateCounter(options).then(function onSequence(counter) {
+    return formatSequence(counter, options);
+  });
+
+  // return sequence promise
+  return withCallback(sequence, done);
+}
+
+/**
+ * Sets sequenceable validator and transformer.
+ *
+ * String paths store formatted sequence, while Number paths store raw
+ * counter sequence with no prefix, suffix or padding.
+ *
+ * When `blockSize` is specified, each process reserves a block of sequences
+ * with a single counter increment and hands them out from memory. Unused
+ * sequences are lost on process exit (gaps), and sequences are unique but
+ * not ordered by creation time across processes. It is ignored for gapless
+ * sequences.
+ *
+ * When `strict` with custom `format` function, custom `parse` or `isValid`
+ * is required, otherwise it throws.
+ *
+ * ####Example:
+ *
+ *     var s = new Schema({ ssn: { type: String, sequenceable: true }})
+ *     var M = db.model('M', s);
+ *     var m = new M();
+ *     m.save(function (err) {
+ *       console.log(m.ssn) // '20180001'
+ *     })
+ *
+ *     var s = new Schema({ seq: { type: Number, sequenceable: true }})
+ *     var M = db.model('M', s);
+ *     var m = new M();
+ *     m.save(function (err) {
+ *       console.log(m.seq) // 1
+ *     })
+ *
+ *
+ * @param {boolean | object} optns sequenceable validation options
+ * @param {string} [message] optional custom error message
+ * @returns {object} this valid SchemaType
+ * @public
+ */
+function sequenceableType(optns, message) {
+  /* this -> String | Number -> SchemaType */
+
+  // ensure no sequence validator exists
+  if (this.sequenceableValidator) {
+    this.validators = this.validators.filter(function doFilter(v) {
+      return v.validator !== this.sequenceableValidator;
+    }, this);
+  }
+
+  // force default value for sequencing
+  const numeric = this.instance === 'Number';
+  this.defaultValue = numeric ? null : DEFAULT_VALUE;
+
+  // allow required numeric path to be sequenced during validation
+  if (numeric) {
+    this.checkRequired = function checkRequired(value, doc) {
+      return (
+        value === null ||
+        this.constructor.prototype.checkRequired.call(this, value, doc)
+      );
+    };
+  }
+
+  // obtain current schema path name
+  const pathName = this.path;
+
+  // add sequenceable validator
+  const defaults = { pathName, numeric };
+  const shouldApply = optns !== null && optns !== undefined;
+  if (shouldApply) {
+    // normalize options
+    const options = _.isBoolean(optns)
+      ? defaults
+      : _.merge({}, defaults, optns);
+
+    // collect sequenceable validation message
+    let msg =
+      message ||
+      _.get(MongooseError.messages, [this.instance, 'sequenceable'], $error);
+    msg = options.message || msg;
+    options.message = msg;
+
+    // ensure strict custom format can be validated
+    const isStrict = _.includes(
+      [true, STRICT_REJECT, STRICT_REGENERATE],
+      options.strict
+    );
+    const isParseable =
+      _.isFunction(options.parse) || _.isFunction(options.isValid);
+    if (isStrict && _.isFunction(options.format) && !isParseable) {
+      throw new Error('Strict Custom Format Requires Parse');
+    }
+
+    // add sequenceable validator
+    this.sequenceableOptions = options;
+    this.sequenceableValidator = createValidator(options);
+    this.validators.push({
+      validator: this.sequenceableValidator,
+      message: msg,
+      type: 'sequenceable',
+    });
+  }
+
+  /* return */
+  return this;
+}
+
+/**
+ * @function sequenceable
+ * @name sequenceable
+ * @description Sequenceable schema plugin. Used to apply sequenceable on
+ * specified path and on paths with `sequenceable` option without global
+ * schema types patch.
+ * @param {object} schema valid mongoose schema
+ * @param {object} [optns] valid sequenceable options
+ * @param {string} [optns.path] valid path to sequence. Added as String path
+ * if not exist.
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * import { sequenceable } from '@lykmapipo/mongoose-sequenceable';
+ *
+ * const TicketSchema = new Schema({ number: { type: String } });
+ * TicketSchema.plugin(sequenceable, { path: 'number', prefix: 'VIP' });
+ */
+export function sequenceable(schema, optns) {
+  const { path, ...options } = _.merge({}, optns);
+
+  // apply sequenceable option of paths
+  schema.eachPath(function applySequenceable(pathName, schemaType) {
+    const pathOptns = _.get(schemaType, 'options.sequenceable');
+    if (!schemaType.sequenceableOptions && !_.isNil(pathOptns)) {
+      sequenceableType.call(schemaType, pathOptns);
+    }
+  });
+
+  // apply sequenceable on specified path
+  if (path) {
+    if (!schema.path(path)) {
+      schema.add({ [path]: { type: String } });
+    }
+    sequenceableType.call(schema.path(path), _.isEmpty(options) || options);
+  }
+
+  // register hooks
+  sequenceablePlugin(schema);
+}
+
+/**
+ * @function register
+ * @name register
+ * @description Register sequenceable global plugin on mongoose instance.
+ * Plugin applies `sequenceable` option of schema paths on model compile.
+ * @param {object} [instance=mongoose] valid mongoose instance
+ * @since 0.4.0
+ * @version 0.1.0
+ * @public
+ * @example
+ *
+ * import mongoose from 'mongoose';
+ * import { register } from '@lykmapipo/mongoose-sequenceable';
+ *
+ * register(new mongoose.Mongoose());
+ */
+export function register(instance = mongoose) {
+  instance.plugin(sequenceable);
+}
+
+/**
+ * @function patch
+ * @name patch
+ * @description Patch mongoose `String` and `Number` schema types and error
+ * messages with sequenceable. Note: schema types prototypes are shared across
+ * mongoose instances.
+ * @since 0.4.0
+ * @version 0.1.0
+ * @private
+ */
+export function patch() {
+  MongooseError.messages.String.sequenceable = $error;
+  MongooseError.messages.Number.sequenceable = $error;
+  SchemaString.prototype.sequenceable = sequenceableType;
+  SchemaNumber.prototype.sequenceable = sequenceableType;
+}
+
+/* exports sequence helpers */
+export { parseValue as parse };
+
+/* exports configurations helpers */
+export { configure };
+
+/* exports counter helpers */
+export { isRetryableError, createCounterModel };
+
+/* exports reference to counter model */
+export { Counter };
@@ -0,0 +1,41 @@
+import { expect } from '@lykmapipo/mongoose-test-helpers';
+import { configure, getConfig } from '../src/config';
+
+describe('config', () => {
+  const reset = {
+    length: null,
+    pad: null,
+    separator: null,
+    yearFormat: null,
+    start: null,
+    increment: null,
+  };
+
+  before(() => configure(reset));
+
+  it('should fallback to environment configurations', () => {
+    const config = getConfig();
+    expect(config.length).to.be.equal(4);
+    expect(config.pad).to.be.equal('0');
+    expect(config.separator).to.be.equal('');
+    expect(config.yearFormat).to.be.equal('YY');
+    expect(config.start).to.not.exist;
+    expect(config.increment).to.be.equal(1);
+  });
+
+  it('should set configurations at runtime', () => {
+    const config = configure({ length: 6, pad: 'x', separator: '-' });
+    expect(config.length).to.be.equal(6);
+    expect(config.pad).to.be.equal('x');
+    expect(config.separator).to.be.equal('-');
+    expect(getConfig()).to.be.eql(config);
+  });
+
+  it('should unset configurations at runtime', () => {
+    configure({ length: 6 });
+    const config = configure({ length: null });
+    expect(config.length).to.be.equal(4);
+  });
+
+  after(() => configure(reset));
+});
@@ -0,0 +1,184 @@
+import { clear, expect } from '@lykmapipo/mongoose-test-helpers';
+import Counter, { createCounterModel } from '../src/counter.model';
+
+describe('counter', () => {
+  before((done) => clear(done));
+
+  it('should setup counter', async () => {
+    const counter = await Counter.setup({ prefix: 'INV', start: 5001 });
+    expect(counter).to.exist;
+    expect(counter.prefix).to.be.equal('INV');
+    expect(counter.sequence).to.be.equal(5000);
+
+    const next = await Counter.generate({ prefix: 'INV' });
+    expect(next.sequence).to.be.equal(5001);
+  });
+
+  it('should not re-setup existing counter', async () => {
+    const counter = await Counter.setup({ prefix: 'INV', start: 1 });
+    expect(counter).to.exist;
+    expect(counter.sequence).to.be.equal(5001);
+  });
+
+  it('should peek counter', async () => {
+    const counter = await Counter.peek({ prefix: 'INV' });
+    expect(counter).to.exist;
+    expect(counter.sequence).to.be.equal(5001);
+
+    const again = await Counter.peek({ prefix: 'INV' });
+    expect(again.sequence).to.be.equal(5001);
+  });
+
+  it('should peek non existing counter', (done) => {
+    Counter.peek({ prefix: 'NONE' }, (error, counter) => {
+      expect(error).to.not.exist;
+      expect(counter).to.not.exist;
+      done(error);
+    });
+  });
+
+  it('should reset counter', async () => {
+    const counter = await Counter.reset({ prefix: 'INV' }, 10);
+    expect(counter).to.exist;
+    expect(counter.sequence).to.be.equal(9);
+
+    const next = await Counter.generate({ prefix: 'INV' });
+    expect(next.sequence).to.be.equal(10);
+  });
+
+  it('should clear counter', async () => {
+    const results = await Counter.clear({ prefix: 'INV' });
+    expect(results.deletedCount).to.be.equal(1);
+
+    const counter = await Counter.peek({ prefix: 'INV' });
+    expect(counter).to.not.exist;
+  });
+
+  it('should reserve sequence range', async () => {
+    const first = await Counter.reserve({ prefix: 'RSV' }, 10);
+    expect(first.from).to.be.equal(1);
+    expect(first.to).to.be.equal(10);
+    expect(first.count).to.be.equal(10);
+
+    const second = await Counter.reserve({ prefix: 'RSV', increment: 2 }, 5);
+    expect(second.from).to.be.equal(12);
+    expect(second.to).to.be.equal(20);
+  });
+
+  it('should reserve sequence range with start', async () => {
+    const range = await Counter.reserve({ prefix: 'RST', start: 5001 }, 3);
+    expect(range.from).to.be.equal(5001);
+    expect(range.to).to.be.equal(5003);
+  });
+
+  it('should not reserve invalid sequence range', (done) => {
+    Counter.reserve({ prefix: 'RSV' }, 0, (error) => {
+      expect(error).to.exist;
+      done();
+    });
+  });
+
+  it('should merge duplicate counters', async () => {
+    await Counter.collection.dropIndexes();
+    await Counter.collection.insertMany([
+      { namespace: 'DUP', prefix: 'DUP', sequence: 3 },
+      { namespace: 'DUP', prefix: 'DUP', sequence: 7 },
+      { namespace: 'DUP', prefix: 'DUP', sequence: 5 },
+    ]);
+
+    const results = await Counter.mergeDuplicates();
+    expect(results.merged).to.be.equal(1);
+    expect(results.deleted).to.be.equal(2);
+
+    const counter = await Counter.peek({ namespace: 'DUP', prefix: 'DUP' });
+    expect(counter.sequence).to.be.equal(7);
+
+    await Counter.syncIndexes();
+  });
+
+  it('should not merge unique counters', async () => {
+    const results = await Counter.mergeDuplicates();
+    expect(results.merged).to.be.equal(1);
+    expect(results.deleted).to.be.equal(1);
+    expect(results.deleted).to.be.equal(0);
+  });
+
+  it('should continue legacy counter without field', async () => {
+    await Counter.collection.insertOne({
+      namespace: 'Legacy',
+      prefix: 'LGC',
+      suffix: '',
+      sequence: 41,
+    });
+    const criteria = { namespace: 'Legacy', prefix: 'LGC', suffix: '' };
+
+    const counter = await Counter.generate({ ...criteria, field: 'number' });
+    expect(counter.field).to.be.equal('number');
+    expect(counter.sequence).to.be.equal(42);
+
+    const next = await Counter.generate({ ...criteria, field: 'number' });
+    expect(next.sequence).to.be.equal(43);
+
+    const legacy = await Counter.peek({ ...criteria, field: null });
+    expect(legacy.sequence).to.be.equal(41);
+  });
+
+  it('should migrate legacy counter indexes', async () => {
+    const legacy = 'namespace_1_prefix_1_suffix_1_sequence_1';
+    await Counter.collection.dropIndexes();
+    await Counter.collection.createIndex(
+      { namespace: 1, prefix: 1, suffix: 1, sequence: 1 },
+      { unique: true, name: legacy }
+    );
+    await Counter.collection.insertMany([
+      { namespace: 'MIG', prefix: 'MIG', suffix: '', sequence: 3 },
+      { namespace: 'MIG', prefix: 'MIG', suffix: '', sequence: 5 },
+    ]);
+
+    const results = await Counter.migrate();
+    expect(results.dropped).to.be.eql([legacy]);
+    expect(results.merged).to.be.equal(1);
+    expect(results.deleted).to.be.equal(1);
+
+    const indexes = await Counter.collection.indexes();
+    const names = indexes.map((index) => index.name);
+    expect(names).to.not.include(legacy);
+
+    const criteria = { namespace: 'MIG', prefix: 'MIG', suffix: '' };
+    const first = await Counter.generate({ ...criteria, field: 'a' });
+    const second = await Counter.generate({ ...criteria, field: 'b' });
+    expect(first.sequence).to.be.equal(6);
+    expect(second.sequence).to.be.equal(6);
+  });
+
+  it('should create counter model on connection', async () => {
+    const connection = Counter.db;
+    const Sequence = createCounterModel(connection, {
+      collection: 'sequences',
+    });
+    expect(Sequence.db).to.be.equal(connection);
+    expect(Sequence.collection.collectionName).to.be.equal('sequences');
+    expect(createCounterModel(connection)).to.be.equal(Counter);
+
+    const counter = await Sequence.generate({ prefix: 'SEQ' });
+    expect(counter.sequence).to.be.equal(1);
+    await Sequence.clear({ prefix: 'SEQ' });
+  });
+
+  it('should not generate sequence with invalid increment', (done) => {
+    Counter.generate({ prefix: 'INC', increment: 0.5 }, (error) => {
+      expect(error).to.exist;
+      expect(error.message).to.be.equal('Invalid Sequence Increment');
+      done();
+    });
+  });
+
+  it('should reserve count down sequence range', async () => {
+    const criteria = { prefix: 'DWN', start: 1000, increment: -1 };
+    const range = await Counter.reserve(criteria, 3);
+    expect(range.from).to.be.equal(1000);
+    expect(range.to).to.be.equal(998);
+  });
+
+  after((done) => clear(done));
+});
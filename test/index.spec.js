@@ -1,9 +1,25 @@
 import _ from 'lodash';
-import { parallel } from 'async';
+import { parallel, mapSeries } from 'async';
 import moment from 'moment';
-import '../src';
-import { clear, expect } from '@lykmapipo/mongoose-test-helpers';
-import { Schema, SchemaString, model } from '@lykmapipo/mongoose-common';
+import mongoose from 'mongoose';
+import { clear, expect, sinon, stub } from '@lykmapipo/mongoose-test-helpers';
+import {
+  Schema,
+  SchemaString,
+  SchemaNumber,
+  model,
+} from '@lykmapipo/mongoose-common';
+import Counter, {
+  nextSequence,
+  isRetryableError,
+  parse,
+  createCounterModel,
+  sequenceable,
+  configure,
+  decode,
+  register,
+} from '../src';
+import CommonCounter from '../src/cjs';
 
 describe('sequenceable', () => {
   before((done) => clear(done));
@@ -16,6 +32,11 @@ describe('sequenceable', () => {
     expect(SchemaString.prototype.sequenceable).to.be.a('function');
   });
 
+  it('should add validator to schema number', () => {
+    expect(SchemaNumber.prototype.sequenceable).to.exist;
+    expect(SchemaNumber.prototype.sequenceable).to.be.a('function');
+  });
+
   it('should be able to generate sequence', (done) => {
     const Ticket = model(
       new Schema({
@@ -374,5 +395,1230 @@ describe('sequenceable', () => {
     );
   });
 
+  it('should generate counter using promise', async () => {
+    const counter = await Counter.generate({ namespace: 'Promise' });
+    expect(counter).to.exist;
+    expect(counter.namespace).to.be.equal('Promise');
+    expect(counter.sequence).to.exist;
+  });
+
+  it('should generate counter using callback', (done) => {
+    Counter.generate({ namespace: 'Callback' }, (error, counter) => {
+      expect(error).to.not.exist;
+      expect(counter).to.exist;
+      expect(counter.namespace).to.be.equal('Callback');
+      expect(counter.sequence).to.exist;
+      done(error, counter);
+    });
+  });
+
+  it('should generate next formatted sequence', async () => {
+    const first = await nextSequence({ namespace: 'Next', prefix: 'VIP' });
+    const second = await nextSequence({ namespace: 'Next', prefix: 'VIP' });
+    expect(first).to.be.equal('VIP0001');
+    expect(second).to.be.equal('VIP0002');
+  });
+
+  it('should check retryable errors', () => {
+    expect(isRetryableError({ code: 11000 })).to.be.true;
+    expect(isRetryableError({ name: 'MongoNetworkError' })).to.be.true;
+    expect(isRetryableError(new Error('Invalid'))).to.be.false;
+    expect(isRetryableError()).to.be.false;
+  });
+
+  it('should fail with original error when generation fails', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { increment: 'invalid', retry: { delay: 1 } },
+          required: true,
+        },
+      })
+    );
+
+    const ticket = new Ticket();
+    ticket.validate((error) => {
+      expect(error).to.exist;
+      expect(error.errors.number).to.exist;
+      expect(error.errors.number.kind).to.be.equal('sequenceable');
+      expect(error.errors.number.reason).to.exist;
+      expect(ticket.number).to.not.exist;
+      done();
+    });
+  });
+
+  it('should retry counter generation on transient errors', async () => {
+    const duplicate = Object.assign(new Error('E11000'), { code: 11000 });
+    const network = Object.assign(new Error('Network'), {
+      name: 'MongoNetworkError',
+    });
+    const errors = [duplicate, network];
+    const findOneAndUpdate = stub(Counter, 'findOneAndUpdate').callsFake(
+      (...args) => {
+        const error = errors.shift();
+        if (error) {
+          return { exec: () => Promise.reject(error) };
+        }
+        return findOneAndUpdate.wrappedMethod.apply(Counter, args);
+      }
+    );
+
+    try {
+      const options = { namespace: 'Retry', prefix: 'RTY', retry: 3 };
+      const counter = await Counter.generate(options);
+      expect(counter.sequence).to.be.equal(1);
+      expect(findOneAndUpdate.callCount).to.be.equal(3);
+    } finally {
+      findOneAndUpdate.restore();
+    }
+  });
+
+  it('should not retry counter generation on other errors', async () => {
+    const invalid = new Error('Invalid');
+    const findOneAndUpdate = stub(Counter, 'findOneAndUpdate').returns({
+      exec: () => Promise.reject(invalid),
+    });
+
+    try {
+      const options = { namespace: 'Retry', prefix: 'RTY', retry: 3 };
+      const error = await Counter.generate(options).catch((e) => e);
+      expect(error).to.be.equal(invalid);
+      expect(findOneAndUpdate.callCount).to.be.equal(1);
+    } finally {
+      findOneAndUpdate.restore();
+    }
+  });
+
+  it('should fail with original error once retries exhausted', (done) => {
+    const duplicate = Object.assign(new Error('E11000'), { code: 11000 });
+    const findOneAndUpdate = stub(Counter, 'findOneAndUpdate').returns({
+      exec: () => Promise.reject(duplicate),
+    });
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { retry: { attempts: 3, delay: 1 } },
+          required: true,
+        },
+      })
+    );
+
+    const ticket = new Ticket();
+    ticket.validate((error) => {
+      findOneAndUpdate.restore();
+      expect(error).to.exist;
+      expect(error.errors.number).to.exist;
+      expect(error.errors.number.kind).to.be.equal('sequenceable');
+      expect(error.errors.number.reason).to.be.equal(duplicate);
+      expect(findOneAndUpdate.callCount).to.be.equal(3);
+      expect(ticket.number).to.not.exist;
+      done();
+    });
+  });
+
+  it('should be able to generate sequence with custom start', (done) => {
+    const Invoice = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: 'INV', start: 5001 },
+          required: true,
+        },
+      })
+    );
+
+    const first = new Invoice();
+    const second = new Invoice();
+    parallel(
+      {
+        first: (next) => first.validate(next),
+        second: (next) => second.validate(next),
+      },
+      (error) => {
+        expect(error).to.not.exist;
+        expect([first.number, second.number].sort()).to.be.eql([
+          'INV5001',
+          'INV5002',
+        ]);
+        done(error);
+      }
+    );
+  });
+
+  it('should be able to generate numeric sequence', (done) => {
+    const Ticket = model(
+      new Schema({
+        seq: {
+          type: Number,
+          sequenceable: { prefix: 'VIP' },
+          required: true,
+        },
+      })
+    );
+
+    const ticket = new Ticket();
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect(ticket.seq).to.exist;
+      expect(ticket.seq).to.be.a('number');
+      expect(ticket.seq).to.be.equal(1);
+      done(error, ticket);
+    });
+  });
+
+  it('should not generate numeric sequence is already set', (done) => {
+    const Ticket = model(
+      new Schema({
+        seq: {
+          type: Number,
+          sequenceable: true,
+          required: true,
+        },
+      })
+    );
+
+    const ticket = new Ticket({ seq: 42 });
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect(ticket.seq).to.be.equal(42);
+      done(error, ticket);
+    });
+  });
+
+  it('should be able to generate sequence on save', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: 'VIP', on: 'save' },
+          required: true,
+        },
+      })
+    );
+
+    const ticket = new Ticket();
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect(ticket.number).to.be.equal('sequence');
+      ticket.save((_error, saved) => {
+        expect(_error).to.not.exist;
+        expect(saved.number).to.be.equal('VIP0001');
+        done(_error, saved);
+      });
+    });
+  });
+
+  it('should generate counter within session', async () => {
+    const session = await Counter.startSession();
+    const counter = await Counter.generate({ namespace: 'Session', session });
+    session.endSession();
+    expect(counter).to.exist;
+    expect(counter.namespace).to.be.equal('Session');
+  });
+
+  it('should fail gapless sequence without session', (done) => {
+    const Invoice = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: 'INV', gapless: true },
+          required: true,
+        },
+      })
+    );
+
+    const invoice = new Invoice();
+    invoice.save((error) => {
+      expect(error).to.exist;
+      expect(error.errors.number).to.exist;
+      expect(error.errors.number.kind).to.be.equal('sequenceable');
+      expect(error.errors.number.reason).to.exist;
+      done();
+    });
+  });
+
+  it('should fail gapless sequence without transaction', async () => {
+    const Invoice = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: 'INV', gapless: true },
+          required: true,
+        },
+      })
+    );
+
+    const session = await Invoice.startSession();
+    const error = await new Invoice().save({ session }).catch((e) => e);
+    session.endSession();
+    expect(error).to.exist;
+    expect(error.errors.number).to.exist;
+    expect(error.errors.number.kind).to.be.equal('sequenceable');
+    expect(error.errors.number.reason.message).to.be.equal(
+      'Gapless Sequence Requires Transaction'
+    );
+  });
+
+  it('should rollback gapless sequence with aborted transaction', async function rollback() {
+    // transactions require replica set
+    const { setName } = await mongoose.connection.db
+      .admin()
+      .command({ hello: 1 });
+    if (!setName) {
+      this.skip();
+    }
+
+    const Invoice = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: 'RBK', gapless: true },
+          required: true,
+        },
+      })
+    );
+    await Invoice.createCollection();
+
+    const session = await Invoice.startSession();
+    session.startTransaction();
+    const aborted = await new Invoice().save({ session });
+    await session.abortTransaction();
+
+    session.startTransaction();
+    const committed = await new Invoice().save({ session });
+    await session.commitTransaction();
+    session.endSession();
+
+    expect(aborted.number).to.be.equal('RBK0001');
+    expect(committed.number).to.be.equal('RBK0001');
+    expect(await Invoice.countDocuments()).to.be.equal(1);
+  });
+
+  it('should generate independent sequence per path', (done) => {
+    const Ticket = model(
+      new Schema({
+        ticketNo: {
+          type: String,
+          sequenceable: { prefix: 'T' },
+          required: true,
+        },
+        receiptNo: {
+          type: String,
+          sequenceable: { prefix: 'T' },
+          required: true,
+        },
+      })
+    );
+
+    const ticket = new Ticket();
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect(ticket.ticketNo).to.be.equal('T0001');
+      expect(ticket.receiptNo).to.be.equal('T0001');
+      done(error, ticket);
+    });
+  });
+
+  it('should generate shared sequence with explicit namespace', (done) => {
+    const Ticket = model(
+      new Schema({
+        ticketNo: {
+          type: String,
+          sequenceable: { prefix: 'T', namespace: 'Shared' },
+          required: true,
+        },
+        receiptNo: {
+          type: String,
+          sequenceable: { prefix: 'T', namespace: 'Shared' },
+          required: true,
+        },
+      })
+    );
+
+    const ticket = new Ticket();
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect([ticket.ticketNo, ticket.receiptNo].sort()).to.be.eql([
+        'T0001',
+        'T0002',
+      ]);
+      done(error, ticket);
+    });
+  });
+
+  it('should reject invalid sequence when strict', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: '22', strict: true },
+          required: true,
+        },
+      })
+    );
+
+    const ticket = new Ticket({ number: '22-garbage' });
+    ticket.validate((error) => {
+      expect(error).to.exist;
+      expect(error.errors.number).to.exist;
+      expect(error.errors.number.kind).to.be.equal('sequenceable');
+      expect(ticket.number).to.be.equal('22-garbage');
+      done();
+    });
+  });
+
+  it('should accept valid sequence when strict', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: '22', strict: true },
+          required: true,
+        },
+      })
+    );
+
+    const ticket = new Ticket({ number: '220045' });
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect(ticket.number).to.be.equal('220045');
+      done(error, ticket);
+    });
+  });
+
+  it('should regenerate invalid sequence when strict', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: '22', strict: 'regenerate' },
+          required: true,
+        },
+      })
+    );
+
+    const ticket = new Ticket({ number: '22-garbage' });
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect(ticket.number).to.be.equal('220001');
+      done(error, ticket);
+    });
+  });
+
+  it('should validate sequence using custom isValid when strict', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: {
+            prefix: '22',
+            strict: true,
+            isValid: (value) => /^22-\d+$/.test(value),
+          },
+          required: true,
+        },
+      })
+    );
+
+    const ticket = new Ticket({ number: '22-45' });
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect(ticket.number).to.be.equal('22-45');
+      done(error, ticket);
+    });
+  });
+
+  it('should throw when strict custom format has no parse', () => {
+    const format = ({ prefix, sequence }) => `${prefix}-${sequence}`;
+    const definition = {
+      number: {
+        type: String,
+        sequenceable: { prefix: 'CF', strict: true, format },
+      },
+    };
+    expect(() => new Schema(definition)).to.throw(
+      'Strict Custom Format Requires Parse'
+    );
+
+    const TicketSchema = new Schema({ number: { type: String } });
+    const optns = { path: 'number', strict: 'regenerate', format };
+    expect(() => TicketSchema.plugin(sequenceable, optns)).to.throw(
+      'Strict Custom Format Requires Parse'
+    );
+
+    const isValid = (value) => /^CF-\d+$/.test(value);
+    expect(
+      () =>
+        new Schema({
+          number: {
+            type: String,
+            sequenceable: { prefix: 'CF', strict: true, format, isValid },
+          },
+        })
+    ).to.not.throw();
+  });
+
+  it('should not regenerate sequence once issued', (done) => {
+    const Ticket = model(
+      new Schema({
+        category: { type: String },
+        number: {
+          type: String,
+          sequenceable: {
+            once: true,
+            prefix() {
+              return this.category;
+            },
+          },
+          required: true,
+        },
+      })
+    );
+
+    Ticket.create({ category: 'VIP' }, (error, ticket) => {
+      expect(error).to.not.exist;
+      const { number } = ticket;
+      expect(number).to.contain('VIP');
+      ticket.set({ category: 'ALL' });
+      ticket.save((_error, updated) => {
+        expect(_error).to.not.exist;
+        expect(updated.number).to.be.equal(number);
+        done(_error, updated);
+      });
+    });
+  });
+
+  it('should reject changes to sequence once issued', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: 'VIP', immutable: true },
+          required: true,
+        },
+      })
+    );
+
+    Ticket.create({}, (error, ticket) => {
+      expect(error).to.not.exist;
+      ticket.set({ number: 'VIP9999' });
+      ticket.save((_error) => {
+        expect(_error).to.exist;
+        expect(_error.errors.number).to.exist;
+        expect(_error.errors.number.kind).to.be.equal('sequenceable');
+        done();
+      });
+    });
+  });
+
+  it('should be able to generate sequence with reset cycle', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: 'VIP', resetEvery: 'month' },
+          required: true,
+        },
+      })
+    );
+
+    const ticket = new Ticket();
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect(ticket.number).to.be.equal('VIP0001');
+      Counter.peek(
+        {
+          namespace: Ticket.modelName,
+          field: 'number',
+          period: moment(new Date()).format('YYYY-MM'),
+          prefix: 'VIP',
+        },
+        (_error, counter) => {
+          expect(_error).to.not.exist;
+          expect(counter).to.exist;
+          expect(counter.sequence).to.be.equal(1);
+          done(_error, counter);
+        }
+      );
+    });
+  });
+
+  it('should be able to generate sequence with template format', (done) => {
+    const Invoice = model(
+      new Schema({
+        category: { type: String },
+        number: {
+          type: String,
+          sequenceable: {
+            suffix: 'TZ',
+            format: 'INV-{YYYY}{MM}-{category}-{seq:6}-{suffix}',
+          },
+          required: true,
+        },
+      })
+    );
+
+    const invoice = new Invoice({ category: 'VIP' });
+    invoice.validate((error) => {
+      expect(error).to.not.exist;
+      const date = moment(new Date()).format('YYYYMM');
+      expect(invoice.number).to.be.equal(`INV-${date}-VIP-000001-TZ`);
+      const { number } = invoice;
+      invoice.validate((_error) => {
+        expect(_error).to.not.exist;
+        expect(invoice.number).to.be.equal(number);
+        done(_error, invoice);
+      });
+    });
+  });
+
+  it('should parse formatted sequence', () => {
+    expect(parse('VIP220045TZ', { prefix: 'VIP22', suffix: 'TZ' })).to.be.eql({
+      prefix: 'VIP22',
+      sequence: 45,
+      suffix: 'TZ',
+    });
+    expect(parse('VIP220045TZ', { suffix: 'TZ' })).to.be.eql({
+      prefix: 'VIP22',
+      sequence: 45,
+      suffix: 'TZ',
+    });
+    expect(
+      parse('FL-2022-000012-TZA', { suffix: 'TZA', length: 6, separator: '-' })
+    ).to.be.eql({
+      prefix: 'FL-2022',
+      sequence: 12,
+      suffix: 'TZA',
+    });
+    expect(
+      parse('INV-2201-000012', { format: 'INV-{YYMM}-{seq:6}' })
+    ).to.be.eql({ suffix: '', sequence: 12 });
+    expect(parse('garbage')).to.not.exist;
+  });
+
+  it('should reject too long value without scanning it', () => {
+    const value = `VIP${_.repeat('1', 100000)}`;
+    const startedAt = Date.now();
+    expect(parse(value, { prefix: 'VIP' })).to.not.exist;
+    expect(parse(value, { suffix: 'TZ' })).to.not.exist;
+    expect(Date.now() - startedAt).to.be.below(100);
+  });
+
+  it('should parse formatted sequence of a path', () => {
+    const Ticket = model(
+      new Schema({
+        country: { type: String },
+        number: {
+          type: String,
+          sequenceable: {
+            prefix: 'VIP',
+            suffix() {
+              return this.country;
+            },
+          },
+        },
+      })
+    );
+
+    expect(Ticket.parseSequence).to.exist.and.to.be.a('function');
+    expect(Ticket.parseSequence('number', 'VIP0045TZ')).to.be.eql({
+      prefix: 'VIP',
+      sequence: 45,
+      suffix: 'TZ',
+    });
+    expect(Ticket.parseSequence('number', 'VIP-45')).to.not.exist;
+    expect(Ticket.parseSequence('country', 'TZ')).to.not.exist;
+  });
+
+  it('should reserve consecutive sequences on insertMany', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: 'BLK' },
+          required: true,
+        },
+      })
+    );
+
+    Ticket.insertMany([{}, {}, { number: 'BLK0099' }, {}], (error, tickets) => {
+      expect(error).to.not.exist;
+      expect(_.map(tickets, 'number')).to.be.eql([
+        'BLK0001',
+        'BLK0002',
+        'BLK0099',
+        'BLK0003',
+      ]);
+      done(error, tickets);
+    });
+  });
+
+  it('should generate sequences from in memory block', async () => {
+    const options = { namespace: 'Block', prefix: 'BLK', blockSize: 10 };
+    const first = await nextSequence(options);
+    const second = await nextSequence(options);
+    expect(first).to.be.equal('BLK0001');
+    expect(second).to.be.equal('BLK0002');
+
+    const counter = await Counter.peek({ namespace: 'Block', prefix: 'BLK' });
+    expect(counter.sequence).to.be.equal(10);
+  });
+
+  it('should discard in memory block on counter reset and clear', async () => {
+    const options = { namespace: 'BlockReset', prefix: 'BRS', blockSize: 10 };
+    const criteria = { namespace: 'BlockReset', prefix: 'BRS' };
+    expect(await nextSequence(options)).to.be.equal('BRS0001');
+    expect(await nextSequence(options)).to.be.equal('BRS0002');
+
+    await Counter.reset(criteria, 5);
+    expect(await nextSequence(options)).to.be.equal('BRS0005');
+
+    await Counter.clear(criteria);
+    expect(await nextSequence(options)).to.be.equal('BRS0001');
+  });
+
+  it('should replace in memory block of past period', async () => {
+    const clock = sinon.useFakeTimers({
+      now: new Date('2025-12-31T12:00:00'),
+      toFake: ['Date'],
+    });
+
+    try {
+      const options = {
+        namespace: 'BlockPeriod',
+        prefix: 'BPD',
+        blockSize: 10,
+        resetEvery: 'year',
+      };
+      expect(await nextSequence(options)).to.be.equal('BPD0001');
+      expect(await nextSequence(options)).to.be.equal('BPD0002');
+
+      clock.setSystemTime(new Date('2026-01-01T12:00:00'));
+      expect(await nextSequence(options)).to.be.equal('BPD0001');
+      expect(await nextSequence(options)).to.be.equal('BPD0002');
+
+      const criteria = { namespace: 'BlockPeriod', prefix: 'BPD' };
+      const past = await Counter.peek({ ...criteria, period: '2025' });
+      const current = await Counter.peek({ ...criteria, period: '2026' });
+      expect(past.sequence).to.be.equal(10);
+      expect(current.sequence).to.be.equal(10);
+    } finally {
+      clock.restore();
+    }
+  });
+
+  it('should generate sequence on custom counter collection', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: 'CST', collection: 'ticket_counters' },
+        },
+      })
+    );
+
+    const ticket = new Ticket();
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect(ticket.number).to.be.equal('CST0001');
+      const Sequence = createCounterModel(null, {
+        collection: 'ticket_counters',
+      });
+      expect(Sequence.collection.collectionName).to.be.equal('ticket_counters');
+      const criteria = {
+        namespace: Ticket.modelName,
+        field: 'number',
+        prefix: 'CST',
+      };
+      Sequence.peek(criteria, (err, counter) => {
+        expect(err).to.not.exist;
+        expect(counter).to.exist;
+        expect(counter.sequence).to.be.equal(1);
+        done(err, counter);
+      });
+    });
+  });
+
+  it('should generate sequence per scope', (done) => {
+    const Ticket = model(
+      new Schema({
+        organization: { type: String },
+        number: {
+          type: String,
+          sequenceable: { prefix: 'ORG', scope: 'organization' },
+        },
+      })
+    );
+
+    const first = new Ticket({ organization: 'ACME' });
+    const second = new Ticket({ organization: 'UMBRELLA' });
+    parallel(
+      [(next) => first.validate(next), (next) => second.validate(next)],
+      (error) => {
+        expect(error).to.not.exist;
+        expect(first.number).to.be.equal('ORG0001');
+        expect(second.number).to.be.equal('ORG0001');
+        Counter.peek(
+          {
+            namespace: Ticket.modelName,
+            field: 'number',
+            scope: 'ACME',
+            prefix: 'ORG',
+          },
+          (err, counter) => {
+            expect(err).to.not.exist;
+            expect(counter.scope).to.be.equal('ACME');
+            expect(counter.prefix).to.be.equal('ORG');
+            done(err, counter);
+          }
+        );
+      }
+    );
+  });
+
+  it('should not share scoped counter with unscoped instance', async () => {
+    const Ticket = model(
+      new Schema({
+        organization: { type: String },
+        number: {
+          type: String,
+          sequenceable: { prefix: 'USC', scope: 'organization' },
+        },
+      })
+    );
+
+    const scoped = new Ticket({ organization: 'ACME' });
+    await scoped.validate();
+    const unscoped = new Ticket();
+    await unscoped.validate();
+    const again = new Ticket({ organization: 'ACME' });
+    await again.validate();
+    expect(scoped.number).to.be.equal('USC0001');
+    expect(unscoped.number).to.be.equal('USC0001');
+    expect(again.number).to.be.equal('USC0002');
+
+    const criteria = {
+      namespace: Ticket.modelName,
+      field: 'number',
+      prefix: 'USC',
+    };
+    const counter = await Counter.peek(criteria);
+    expect(counter).to.exist;
+    expect(counter.scope).to.not.exist;
+    expect(counter.sequence).to.be.equal(1);
+  });
+
+  it('should parse sequence without resolving scope', () => {
+    const Ticket = model(
+      new Schema({
+        organization: { type: String },
+        number: {
+          type: String,
+          sequenceable: { prefix: 'INV', scope: (doc) => doc.organization },
+        },
+      })
+    );
+    expect(Ticket.parseSequence('number', 'INV0001')).to.be.eql({
+      prefix: 'INV',
+      sequence: 1,
+      suffix: '',
+    });
+  });
+
+  it('should generate sequence with function scope', async () => {
+    const options = { namespace: 'Scope', prefix: 'SCP', scope: () => 'ACME' };
+    const first = await nextSequence(options);
+    const second = await nextSequence({ ...options, scope: 'UMBRELLA' });
+    expect(first).to.be.equal('SCP0001');
+    expect(second).to.be.equal('SCP0001');
+  });
+
+  it('should expose helpers on commonjs counter model', () => {
+    expect(CommonCounter).to.be.equal(Counter);
+    expect(CommonCounter.nextSequence).to.be.equal(nextSequence);
+    expect(CommonCounter.parse).to.be.equal(parse);
+    expect(CommonCounter.sequenceable).to.be.equal(sequenceable);
+    expect(CommonCounter.createCounterModel).to.be.equal(createCounterModel);
+  });
+
+  it('should register plugin on mongoose instance', () => {
+    const instance = new mongoose.Mongoose();
+    register(instance);
+    expect(_.map(instance.plugins, _.first)).to.include(sequenceable);
+  });
+
+  it('should generate sequence using schema plugin', (done) => {
+    const TicketSchema = new Schema({ number: { type: String } });
+    TicketSchema.plugin(sequenceable, { path: 'number', prefix: 'PLG' });
+    const Ticket = model(TicketSchema);
+
+    const ticket = new Ticket();
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect(ticket.number).to.be.equal('PLG0001');
+      expect(Ticket.parseSequence).to.exist.and.be.a('function');
+      done(error, ticket);
+    });
+  });
+
+  it('should generate sequence using runtime configurations', async () => {
+    configure({ length: 6, separator: '-', start: 100 });
+    const options = { namespace: 'Config', prefix: 'CFG', suffix: 'TZ' };
+    const first = await nextSequence(options);
+    const second = await nextSequence({ ...options, separator: '' });
+    configure({ length: null, separator: null, start: null });
+    expect(first).to.be.equal('CFG-000100-TZ');
+    expect(second).to.be.equal('CFG000101TZ');
+  });
+
+  it('should generate sequence with check digit', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: 'CHK', checkDigit: 'luhn', strict: true },
+        },
+      })
+    );
+
+    const ticket = new Ticket();
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect(ticket.number).to.be.equal('CHK00018');
+      expect(Ticket.parseSequence('number', 'CHK00018')).to.be.eql({
+        prefix: 'CHK',
+        sequence: 1,
+        suffix: '',
+      });
+      done(error, ticket);
+    });
+  });
+
+  it('should reject sequence with invalid check digit when strict', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: { prefix: 'CHK', checkDigit: 'mod11', strict: true },
+        },
+      })
+    );
+
+    const ticket = new Ticket({ number: 'CHK00011' });
+    ticket.validate((error) => {
+      expect(error).to.exist;
+      expect(error.errors.number).to.exist;
+      done();
+    });
+  });
+
+  it('should parse sequence with check digit', () => {
+    expect(parse('M00019', { prefix: 'M', checkDigit: 'mod11' })).to.be.eql({
+      prefix: 'M',
+      sequence: 1,
+      suffix: '',
+    });
+    expect(parse('0000000218250097', { checkDigit: 'iso7064' })).to.exist;
+    expect(parse('0000000218250098', { checkDigit: 'iso7064' })).to.not.exist;
+  });
+
+  it('should check alphabet digits with check digit', () => {
+    const options = { prefix: 'AC', alphabet: 'base36', checkDigit: 'luhn' };
+    expect(parse('AC0007O', options)).to.be.eql({
+      prefix: 'AC',
+      sequence: 7,
+      suffix: '',
+    });
+    expect(parse('AC000AO', options)).to.not.exist;
+    expect(parse('AC00018', options)).to.not.exist;
+  });
+
+  it('should generate obfuscated sequence', async () => {
+    const options = {
+      namespace: 'Obfuscate',
+      prefix: 'OBF',
+      length: 3,
+      obfuscate: 'secret',
+    };
+    const values = await mapSeries(_.range(5), async () =>
+      nextSequence(options)
+    );
+    expect(_.uniq(values)).to.have.length(5);
+    expect(values).to.not.include('OBF001');
+    expect(_.map(values, (value) => decode(value, options))).to.be.eql([
+      1, 2, 3, 4, 5,
+    ]);
+  });
+
+  it('should decode obfuscated numeric sequence', (done) => {
+    const Ticket = model(
+      new Schema({
+        number: {
+          type: Number,
+          sequenceable: { namespace: 'ObfNum', obfuscate: { key: 'secret' } },
+        },
+      })
+    );
+
+    const ticket = new Ticket();
+    ticket.validate((error) => {
+      expect(error).to.not.exist;
+      expect(ticket.number).to.be.a('number');
+      expect(Ticket.parseSequence('number', ticket.number)).to.be.eql({
+        sequence: 1,
+      });
+      done(error, ticket);
+    });
+  });
+
+  it('should generate sequence with alphabet', (done) => {
+    const Voucher = model(
+      new Schema({
+        code: {
+          type: String,
+          sequenceable: { prefix: 'V', alphabet: 'crockford', strict: true },
+        },
+      })
+    );
+
+    Voucher.create({ code: 'V00Z8' }, (error, voucher) => {
+      expect(error).to.not.exist;
+      expect(voucher.code).to.be.equal('V00Z8');
+      expect(Voucher.parseSequence('code', 'V00z8')).to.be.eql({
+        prefix: 'V',
+        sequence: 1000,
+        suffix: '',
+      });
+      done(error, voucher);
+    });
+  });
+
+  it('should generate sequence with radix', async () => {
+    const options = { namespace: 'Radix', prefix: 'R', radix: 36, start: 45 };
+    const sequence = await nextSequence(options);
+    expect(sequence).to.be.equal('R0019');
+    expect(parse(sequence, options)).to.be.eql({
+      prefix: 'R',
+      sequence: 45,
+      suffix: '',
+    });
+  });
+
+  it('should pad sequence with custom alphabet', () => {
+    const options = { prefix: 'X', alphabet: 'ABCDEFGH' };
+    expect(parse('XAAAH', options)).to.be.eql({
+      prefix: 'X',
+      sequence: 7,
+      suffix: '',
+    });
+    expect(parse('XAAA8', options)).to.not.exist;
+  });
+
+  it('should fail to generate sequence on overflow', (done) => {
+    const options = {
+      namespace: 'Overflow',
+      prefix: 'OVF',
+      maxLength: 2,
+      onOverflow: 'error',
+    };
+    const criteria = { namespace: 'Overflow', prefix: 'OVF', suffix: '' };
+    Counter.setup({ ...criteria, start: 99 })
+      .then(() => nextSequence(options))
+      .then((sequence) => {
+        expect(sequence).to.be.equal('OVF0099');
+        return nextSequence(options);
+      })
+      .then(
+        () => done(new Error('Should Overflow')),
+        (error) => {
+          expect(error).to.exist;
+          expect(error.message).to.be.equal('Sequence Overflow');
+          done();
+        }
+      );
+  });
+
+  it('should wrap sequence on overflow', async () => {
+    const options = { namespace: 'Wrap', prefix: 'WRP', max: 3 };
+    const values = await mapSeries(_.range(5), async () =>
+      nextSequence({ ...options, onOverflow: 'wrap' })
+    );
+    expect(values).to.be.eql([
+      'WRP0001',
+      'WRP0002',
+      'WRP0003',
+      'WRP0001',
+      'WRP0002',
+    ]);
+  });
+
+  it('should rollover sequence prefix on overflow', async () => {
+    const options = { namespace: 'Rollover', prefix: 'RLV', max: 2 };
+    const values = await mapSeries(_.range(5), async () =>
+      nextSequence({ ...options, onOverflow: 'rollover' })
+    );
+    expect(values).to.be.eql([
+      'RLV0001',
+      'RLV0002',
+      'RLV10001',
+      'RLV10002',
+      'RLV20001',
+    ]);
+    const parseOptions = { ...options, onOverflow: 'rollover' };
+    expect(parse('RLV10001', parseOptions)).to.be.eql({
+      prefix: 'RLV',
+      sequence: 1,
+      suffix: '',
+      cycle: 1,
+    });
+    expect(parse('RLV0002', parseOptions)).to.be.eql({
+      prefix: 'RLV',
+      sequence: 2,
+      suffix: '',
+      cycle: 0,
+    });
+    expect(parse('RLV0003', parseOptions)).to.not.exist;
+  });
+
+  it('should re-validate rolled over sequence', async () => {
+    const Voucher = model(
+      new Schema({
+        number: {
+          type: String,
+          sequenceable: {
+            prefix: 'VIP',
+            separator: '-',
+            suffix: 'X',
+            max: 2,
+            onOverflow: 'rollover',
+            strict: true,
+          },
+        },
+      })
+    );
+    const vouchers = await mapSeries(_.range(3), async () => {
+      const voucher = new Voucher();
+      await voucher.validate();
+      return voucher;
+    });
+    const voucher = _.last(vouchers);
+    expect(voucher.number).to.be.equal('VIP1-0001-X');
+
+    await voucher.validate();
+    expect(voucher.number).to.be.equal('VIP1-0001-X');
+    expect(Voucher.parseSequence('number', voucher.number)).to.be.eql({
+      prefix: 'VIP',
+      sequence: 1,
+      suffix: 'X',
+      cycle: 1,
+    });
+  });
+
+  it('should notify when sequence reaches threshold', async () => {
+    const notified = [];
+    const options = {
+      namespace: 'Threshold',
+      prefix: 'THR',
+      max: 4,
+      onOverflow: 'grow',
+      threshold: 75,
+      onThreshold: (info) => notified.push(info),
+    };
+    await mapSeries(_.range(5), async () => nextSequence(options));
+    expect(_.map(notified, 'sequence')).to.be.eql([3]);
+    expect(_.map(notified, 'usage')).to.be.eql([75]);
+  });
+
+  it('should not fail sequence when threshold callback fail', (done) => {
+    const options = {
+      namespace: 'ThresholdError',
+      prefix: 'THE',
+      max: 1,
+      threshold: 100,
+      onThreshold: () => {
+        throw new Error('Threshold Failed');
+      },
+    };
+    const onWarning = (warning) => {
+      if (warning.name === 'SequenceThresholdWarning') {
+        process.removeListener('warning', onWarning);
+        expect(warning.message).to.contain('Threshold Failed');
+        done();
+      }
+    };
+    process.on('warning', onWarning);
+    nextSequence(options).then((sequence) => {
+      expect(sequence).to.be.equal('THE0001');
+    }, done);
+  });
+
+  it('should generate count down sequence with min', async () => {
+    const options = {
+      namespace: 'Edition',
+      prefix: 'ED',
+      start: 3,
+      increment: -1,
+      min: 1,
+      onOverflow: 'error',
+    };
+    const values = await mapSeries(_.range(4), async () =>
+      nextSequence(options).catch((error) => error.message)
+    );
+    expect(values).to.be.eql([
+      'ED0003',
+      'ED0002',
+      'ED0001',
+      'Sequence Overflow',
+    ]);
+  });
+
+  it('should stop count down sequence at min by default', async () => {
+    const options = {
+      namespace: 'Countdown',
+      prefix: 'CD',
+      start: 2,
+      increment: -1,
+      min: 1,
+    };
+    const values = await mapSeries(_.range(3), async () =>
+      nextSequence(options).catch((error) => error.message)
+    );
+    expect(values).to.be.eql(['CD0002', 'CD0001', 'Sequence Overflow']);
+  });
+
+  it('should format and parse sequence with configured pad', async () => {
+    configure({ pad: 'x' });
+    const options = { namespace: 'ConfigPad', prefix: 'CPD' };
+    const sequence = await nextSequence(options);
+    expect(sequence).to.be.equal('CPDxxx1');
+    expect(parse('CPDxxx1', { prefix: 'CPD' })).to.be.eql({
+      prefix: 'CPD',
+      sequence: 1,
+      suffix: '',
+    });
+    configure({ pad: null });
+  });
+
+  it('should generate sequence with custom step', async () => {
+    const options = { namespace: 'Step', prefix: 'STP', increment: 10 };
+    const values = await mapSeries(_.range(3), async () =>
+      nextSequence(options)
+    );
+    expect(values).to.be.eql(['STP0010', 'STP0020', 'STP0030']);
+  });
+
+  it('should format and parse negative sequence', async () => {
+    const options = { namespace: 'Negative', prefix: 'NEG', start: -2 };
+    const sequence = await nextSequence(options);
+    expect(sequence).to.be.equal('NEG-0002');
+    expect(parse(sequence, { prefix: 'NEG' })).to.be.eql({
+      prefix: 'NEG',
+      sequence: -2,
+      suffix: '',
+    });
+  });
+
   after((done) => clear(done));
 });
@@ -0,0 +1,31 @@
+import _ from 'lodash';
+import mongoose from 'mongoose';
+import { expect } from '@lykmapipo/mongoose-test-helpers';
+import * as plugin from '../src/plugin';
+import * as sequenceable from '../src';
+
+describe('plugin', () => {
+  it('should expose sequenceable helpers', () => {
+    expect(plugin.sequenceable).to.exist.and.be.a('function');
+    expect(plugin.register).to.exist.and.be.a('function');
+    expect(plugin.nextSequence).to.exist.and.be.a('function');
+    expect(plugin.parse).to.exist.and.be.a('function');
+    expect(plugin.decode).to.exist.and.be.a('function');
+    expect(plugin.configure).to.exist.and.be.a('function');
+    expect(plugin.Counter).to.exist;
+  });
+
+  it('should share helpers with main entry', () => {
+    expect(plugin.sequenceable).to.be.equal(sequenceable.sequenceable);
+    expect(plugin.register).to.be.equal(sequenceable.register);
+    expect(plugin.nextSequence).to.be.equal(sequenceable.nextSequence);
+    expect(plugin.parse).to.be.equal(sequenceable.parse);
+    expect(plugin.Counter).to.be.equal(sequenceable.default);
+  });
+
+  it('should register plugin on mongoose instance', () => {
+    const instance = new mongoose.Mongoose();
+    plugin.register(instance);
+    expect(_.map(instance.plugins, _.first)).to.include(plugin.sequenceable);
+  });
+});